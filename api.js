@@ -41,40 +41,364 @@ function normalizeApiUrl(endpoint) {
     return `${cleanBaseUrl}${cleanEndpoint}`;
 }
 
-// Get auth token from localStorage
+// Accounts
+// Several accounts can be signed in at once, one of them active. Each keeps its own
+// user record and tokens under ACCOUNTS_KEY; everything stored per user (API cache,
+// offline queue items, QR codes, notification settings) is keyed by the user id, so
+// switching only changes ACTIVE_ACCOUNT_KEY - the page reloads to pick it up.
+const ACCOUNTS_KEY = 'accounts';
+const ACTIVE_ACCOUNT_KEY = 'activeAccountId';
+// Per-account settings stored under accountStorageKey(name) - removed with the account
+const ACCOUNT_SETTINGS = ['currentEventId', 'notification_preferences'];
+
+// { [userId]: { user, token, refreshToken, expiresAt, addedAt, signedOut } }
+// signedOut: the session ended (refresh rejected) - the account stays listed until it signs in again
+function getAccounts() {
+    try {
+        return JSON.parse(localStorage.getItem(ACCOUNTS_KEY) || '{}');
+    } catch (error) {
+        console.error('Error reading accounts:', error);
+        return {};
+    }
+}
+
+function saveAccounts(accounts) {
+    localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
+}
+
+// Accounts on this device (signed out ones too), in the order they were added
+function listAccounts() {
+    return Object.values(getAccounts()).sort((a, b) => a.addedAt - b.addedAt);
+}
+
+function getActiveAccount() {
+    const accountId = localStorage.getItem(ACTIVE_ACCOUNT_KEY);
+    return accountId ? getAccounts()[accountId] || null : null;
+}
+
+function updateActiveAccount(changes) {
+    const accountId = localStorage.getItem(ACTIVE_ACCOUNT_KEY);
+    const accounts = getAccounts();
+    if (!accountId || !accounts[accountId]) return;
+    accounts[accountId] = { ...accounts[accountId], ...changes };
+    saveAccounts(accounts);
+}
+
+// Make another signed-in account active (null: none, to sign in one more).
+// Callers reload the page so no state of the previous account survives.
+function setActiveAccount(accountId) {
+    if (accountId === null) {
+        localStorage.removeItem(ACTIVE_ACCOUNT_KEY);
+        return;
+    }
+    if (!getAccounts()[accountId]) throw new Error('Account is not signed in on this device');
+    localStorage.setItem(ACTIVE_ACCOUNT_KEY, String(accountId));
+}
+
+// Sign an account out of this device; its cached API data, queued changes and
+// offline event downloads go too. Resolves once they're deleted - await it before
+// reloading the page.
+function removeAccount(accountId) {
+    const accounts = getAccounts();
+    delete accounts[accountId];
+    saveAccounts(accounts);
+    const cleanup = [clearAccountCache(accountId)];
+    ACCOUNT_SETTINGS.forEach(name => localStorage.removeItem(`${name}_${accountId}`));
+    // QR codes (qr_cache_<userId>_<mode>)
+    Object.keys(localStorage)
+        .filter(key => key.startsWith(`qr_cache_${accountId}_`))
+        .forEach(key => localStorage.removeItem(key));
+    if (typeof offlineQueue !== 'undefined' && offlineQueue.clearAccount) {
+        cleanup.push(offlineQueue.clearAccount(accountId).catch(error => {
+            console.error('Error removing the account\'s offline queue items:', error);
+        }));
+    }
+    if (typeof removeAccountOfflineDownloads === 'function') {
+        cleanup.push(removeAccountOfflineDownloads(accountId));
+    }
+    if (localStorage.getItem(ACTIVE_ACCOUNT_KEY) === String(accountId)) {
+        localStorage.removeItem(ACTIVE_ACCOUNT_KEY);
+        clearTimeout(authRenewalTimer);
+    }
+    if (typeof offlineQueue !== 'undefined' && offlineQueue.storeCredentials) {
+        offlineQueue.storeCredentials();
+    }
+    return Promise.all(cleanup);
+}
+
+// Storage key for a per-account setting, e.g. accountStorageKey('currentEventId').
+// The name must be listed in ACCOUNT_SETTINGS.
+function accountStorageKey(name) {
+    return `${name}_${getUserIdForCache()}`;
+}
+
+// Sessions from before multi-account support kept one token and user in their own keys
+(function() {
+    const legacyToken = localStorage.getItem('authToken');
+    const legacyUser = localStorage.getItem('currentUser');
+    try {
+        if (legacyToken && legacyUser) {
+            const user = JSON.parse(legacyUser);
+            const accounts = getAccounts();
+            accounts[user.id] = {
+                user,
+                token: legacyToken,
+                refreshToken: localStorage.getItem('refreshToken'),
+                expiresAt: parseInt(localStorage.getItem('authTokenExpiresAt'), 10) || getJwtExpiry(legacyToken),
+                addedAt: Date.now()
+            };
+            saveAccounts(accounts);
+            localStorage.setItem(ACTIVE_ACCOUNT_KEY, String(user.id));
+            // Settings that were global then are this account's now
+            ACCOUNT_SETTINGS.forEach(name => {
+                const value = localStorage.getItem(name);
+                if (value !== null) localStorage.setItem(`${name}_${user.id}`, value);
+                localStorage.removeItem(name);
+            });
+        }
+    } catch (error) {
+        console.error('Error migrating the signed-in account:', error);
+    }
+    ['authToken', 'currentUser', 'refreshToken', 'authTokenExpiresAt'].forEach(key => localStorage.removeItem(key));
+})();
+
+// Auth tokens
+// A short-lived access token goes with every request; the refresh token renews it
+// (and is rotated on every renewal). Renewal happens shortly before expiry, and again
+// on a 401 - the login screen only comes back when the refresh itself is rejected.
+const TOKEN_RENEW_MARGIN = 60 * 1000; // Renew this long before the access token expires
+let authRefreshPromise = null;
+let authRenewalTimer = null;
+
+// Get the active account's access token
 function getAuthToken() {
-    return localStorage.getItem('authToken');
+    const account = getActiveAccount();
+    return account ? account.token : null;
+}
+
+function getRefreshToken() {
+    const account = getActiveAccount();
+    return account ? account.refreshToken : null;
+}
+
+function getAuthTokenExpiry() {
+    const account = getActiveAccount();
+    return account ? account.expiresAt : null;
 }
 
 // Set auth token
 function setAuthToken(token) {
-    localStorage.setItem('authToken', token);
+    updateActiveAccount({ token });
+    // Keep the service worker's copy for background sync in step
+    if (typeof offlineQueue !== 'undefined' && offlineQueue.storeCredentials) {
+        offlineQueue.storeCredentials();
+    }
+}
+
+// Store the tokens from a login or refresh response: { token, refresh_token, expires_in, user }
+// (expires_in in seconds; without it the expiry is read from the token itself).
+// A response with a user signs that account in - alongside any others - and makes it active.
+function setAuthSession(data) {
+    const token = data.access_token || data.token;
+    const expiresAt = data.expires_in ? Date.now() + data.expires_in * 1000 : getJwtExpiry(token);
+    const tokens = { token, expiresAt: expiresAt || null };
+    if (data.refresh_token) tokens.refreshToken = data.refresh_token;
+    
+    if (data.user) {
+        const accounts = getAccounts();
+        const existing = accounts[data.user.id];
+        accounts[data.user.id] = { ...existing, ...tokens, user: data.user, signedOut: false, addedAt: existing ? existing.addedAt : Date.now() };
+        saveAccounts(accounts);
+        localStorage.setItem(ACTIVE_ACCOUNT_KEY, String(data.user.id));
+    } else {
+        updateActiveAccount(tokens);
+    }
+    if (typeof offlineQueue !== 'undefined' && offlineQueue.storeCredentials) {
+        offlineQueue.storeCredentials();
+    }
+    scheduleAuthRenewal();
+}
+
+// exp claim of a JWT, in ms (null for tokens that aren't JWTs)
+function getJwtExpiry(token) {
+    try {
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        const claims = JSON.parse(atob(payload));
+        return claims.exp ? claims.exp * 1000 : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function isAuthTokenExpiring() {
+    const expiresAt = getAuthTokenExpiry();
+    return !!expiresAt && expiresAt - Date.now() <= TOKEN_RENEW_MARGIN;
 }
 
-// Clear auth token
+// End the active account's session (other signed-in accounts stay). Only the tokens go:
+// the account keeps its place in the switcher, its cache and its settings, marked signed
+// out until it signs in again. removeAccount() forgets it for good.
 function clearAuthToken() {
-    localStorage.removeItem('authToken');
-    localStorage.removeItem('currentUser');
-    // Clear all cache on logout
-    if (typeof cacheInvalidation !== 'undefined') {
-        cacheInvalidation.invalidateAll();
+    updateActiveAccount({ token: null, refreshToken: null, expiresAt: null, signedOut: true });
+    localStorage.removeItem(ACTIVE_ACCOUNT_KEY);
+    clearTimeout(authRenewalTimer);
+    if (typeof offlineQueue !== 'undefined' && offlineQueue.storeCredentials) {
+        offlineQueue.storeCredentials();
+    }
+}
+
+// The session can't be renewed - back to the login screen
+function endAuthSession() {
+    const authScreen = document.getElementById('authScreen');
+    const onAuthScreen = !authScreen || !authScreen.classList.contains('hidden');
+    clearAuthToken();
+    if (!onAuthScreen && typeof showAuthScreen === 'function') {
+        showAuthScreen();
     }
 }
 
-// Get current user from localStorage
+// Renew the access token. Concurrent callers (and other tabs, via a Web Lock) share
+// one refresh, since the refresh token is single-use. Rejects with an
+// UnauthorizedError when the session is over, or a network error when we can't tell.
+function refreshAuthToken() {
+    if (!authRefreshPromise) {
+        const staleToken = getAuthToken();
+        const refresh = () => {
+            // Another tab may have renewed the tokens while we waited for the lock
+            const currentToken = getAuthToken();
+            if (currentToken && currentToken !== staleToken && !isAuthTokenExpiring()) {
+                return currentToken;
+            }
+            return requestTokenRefresh();
+        };
+        const run = navigator.locks ? navigator.locks.request(`pplai_auth_refresh_${getUserIdForCache()}`, refresh) : refresh();
+        authRefreshPromise = Promise.resolve(run).finally(() => {
+            authRefreshPromise = null;
+        });
+    }
+    return authRefreshPromise;
+}
+
+async function requestTokenRefresh() {
+    const refreshToken = getRefreshToken();
+    if (!refreshToken) {
+        throw new UnauthorizedError('Session expired', { status: 401, endpoint: '/auth/refresh' });
+    }
+    
+    let data;
+    try {
+        const response = await transport('/auth/refresh', {
+            method: 'POST',
+            body: JSON.stringify({ refresh_token: refreshToken }),
+            skipAuth: true,
+            errorMessage: 'Could not renew the session',
+        });
+        data = await response.json();
+    } catch (error) {
+        // A rejected refresh token may come back as 400 or 403 as well
+        if (error instanceof ApiError && [400, 401, 403].includes(error.status)) {
+            throw new UnauthorizedError('Session expired', { status: 401, payload: error.payload, endpoint: '/auth/refresh' });
+        }
+        throw error;
+    }
+    
+    setAuthSession(data);
+    if (data.user) setCurrentUser(data.user);
+    console.log('Session renewed');
+    return getAuthToken();
+}
+
+// Renew before sending when the access token is about to expire. Network errors are
+// ignored - the request goes out with the current token and a 401 tries again.
+async function renewAuthTokenIfExpiring() {
+    if (!getRefreshToken() || !isAuthTokenExpiring()) return;
+    try {
+        await refreshAuthToken();
+    } catch (error) {
+        if (error instanceof UnauthorizedError) {
+            endAuthSession();
+            throw error;
+        }
+        console.warn('Could not renew the session ahead of expiry:', error.message);
+    }
+}
+
+// Renew in the background shortly before expiry, so an idle app wakes up logged in
+function scheduleAuthRenewal() {
+    clearTimeout(authRenewalTimer);
+    const expiresAt = getAuthTokenExpiry();
+    if (!expiresAt || !getRefreshToken()) return;
+    
+    // setTimeout overflows past ~24.8 days
+    const delay = Math.min(Math.max(expiresAt - Date.now() - TOKEN_RENEW_MARGIN, 0), 2 ** 31 - 1);
+    authRenewalTimer = setTimeout(() => {
+        // Another tab may have renewed already - then just wait for the new expiry
+        if (!isAuthTokenExpiring()) {
+            scheduleAuthRenewal();
+            return;
+        }
+        refreshAuthToken().catch(error => {
+            if (error instanceof UnauthorizedError) {
+                endAuthSession();
+            } else {
+                console.warn('Background session renewal failed, will retry on the next request:', error.message);
+            }
+        });
+    }, delay);
+}
+
+// Pick up the schedule of a session from an earlier visit
+scheduleAuthRenewal();
+
+// Get the active account's user
 function getCurrentUser() {
-    const userStr = localStorage.getItem('currentUser');
-    return userStr ? JSON.parse(userStr) : null;
+    const account = getActiveAccount();
+    return account ? account.user : null;
 }
 
 // Set current user
 function setCurrentUser(user) {
-    localStorage.setItem('currentUser', JSON.stringify(user));
+    updateActiveAccount({ user });
 }
 
-// Cache for API responses (persistent localStorage cache)
-const CACHE_DURATION = 30 * 60 * 1000; // 30 minutes
-const CACHE_PREFIX = 'api_cache_';
+// Cache for API responses (persistent IndexedDB cache)
+// Stale-while-revalidate: a cached response is returned at once and refreshed in the
+// background; subscribers hear about it when the refresh brings different data.
+// Entries keep the ETag / Last-Modified so refreshes are conditional and an unchanged
+// resource costs a 304. Each endpoint has its own TTL, and the least recently used
+// entries are evicted once the cache outgrows its byte budget.
+const API_CACHE_DB_NAME = 'pplai_api_cache';
+const API_CACHE_STORE = 'entries';
+const API_CACHE_BUDGET = 25 * 1024 * 1024; // Bytes of JSON
+const LEGACY_CACHE_PREFIX = 'api_cache_'; // The old localStorage cache
+const REVALIDATE_INTERVAL = 15 * 1000; // Don't refresh the same entry more often than this
+const ACCESS_WRITE_INTERVAL = 60 * 1000; // Coarse lastAccess updates keep reads cheap
+const apiSubscribers = [];
+
+// GET endpoints worth caching and how long a copy counts as fresh; first match wins.
+// Stale copies are still used offline and for conditional requests.
+const MINUTE = 60 * 1000;
+const CACHE_POLICIES = [
+    { pattern: /^\/profile\/qr\//, ttl: 24 * 60 * MINUTE },     // QR images change only with the profile
+    { pattern: /^\/profile$/, ttl: 10 * MINUTE },
+    { pattern: /^\/profile\//, ttl: 60 * MINUTE },               // Other people's public profiles
+    { pattern: /^\/contacts\/find/, ttl: 5 * MINUTE },
+    { pattern: /^\/contacts/, ttl: 30 * MINUTE },
+    { pattern: /^\/events\/search\/locations/, ttl: 24 * 60 * MINUTE },
+    { pattern: /^\/events/, ttl: 30 * MINUTE },
+    { pattern: /^\/tags/, ttl: 60 * MINUTE },
+];
+
+// The old localStorage cache overflowed its quota - drop what's left of it
+(function() {
+    try {
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(LEGACY_CACHE_PREFIX))
+            .forEach(key => localStorage.removeItem(key));
+    } catch (error) {
+        console.warn('Error clearing legacy cache:', error);
+    }
+})();
 
 // Get user ID for cache key scoping
 function getUserIdForCache() {
@@ -82,127 +406,268 @@ function getUserIdForCache() {
     return user ? user.id : 'anonymous';
 }
 
+// Query parameters sorted, empty ones dropped - the same filters in any order share an entry
+function normalizeCacheEndpoint(endpoint) {
+    const [path, query = ''] = endpoint.split('?');
+    const params = new URLSearchParams(query);
+    const entries = [...params.entries()].filter(([, value]) => value !== '');
+    entries.sort(([a, aValue], [b, bValue]) => (a === b ? aValue.localeCompare(bValue) : a.localeCompare(b)));
+    const normalizedQuery = new URLSearchParams(entries).toString();
+    return normalizedQuery ? `${path}?${normalizedQuery}` : path;
+}
+
 // Generate cache key with user context
 function getCacheKey(endpoint) {
-    const userId = getUserIdForCache();
-    return `${CACHE_PREFIX}${userId}_${endpoint}`;
+    return `${getUserIdForCache()}:${normalizeCacheEndpoint(endpoint)}`;
+}
+
+function getCachePolicy(endpoint) {
+    const path = endpoint.split('?')[0];
+    return CACHE_POLICIES.find(policy => policy.pattern.test(path)) || null;
 }
 
 // Check if response should be cached
 function shouldCache(endpoint, method) {
     if (method && method !== 'GET') return false;
-    const cacheableEndpoints = ['/profile', '/events', '/contacts', '/tags'];
-    return cacheableEndpoints.some(ep => endpoint.includes(ep));
+    return !!getCachePolicy(endpoint);
 }
 
-// Get cached response from localStorage
-function getCachedResponse(endpoint) {
+function isCacheEntryFresh(entry) {
+    const policy = getCachePolicy(entry.endpoint);
+    return !!policy && Date.now() - entry.timestamp <= policy.ttl;
+}
+
+// One connection for the page; requests queue on it in call order, so an
+// invalidation always lands before a read issued after it
+let apiCacheDBPromise = null;
+
+function openApiCacheDB() {
+    if (!apiCacheDBPromise) {
+        apiCacheDBPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(API_CACHE_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(API_CACHE_STORE, { keyPath: 'key' });
+                store.createIndex('lastAccess', 'lastAccess', { unique: false });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(error => {
+            apiCacheDBPromise = null;
+            throw error;
+        });
+    }
+    return apiCacheDBPromise;
+}
+
+async function apiCacheRequest(mode, callback) {
+    const db = await openApiCacheDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(API_CACHE_STORE, mode);
+        const request = callback(tx.objectStore(API_CACHE_STORE));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Entries of the current user, optionally only those whose endpoint contains pattern
+async function getCacheEntries(pattern = '') {
+    const prefix = `${getUserIdForCache()}:`;
+    const entries = await apiCacheRequest('readonly', store =>
+        store.getAll(IDBKeyRange.bound(prefix, `${prefix}\uffff`)));
+    return (entries || []).filter(entry => entry.endpoint.includes(pattern));
+}
+
+// Read a cache entry, expired or not - expired entries still carry validators
+// for a conditional request, and data to show offline
+async function readCacheEntry(endpoint) {
     try {
-        const cacheKey = getCacheKey(endpoint);
-        const cachedStr = localStorage.getItem(cacheKey);
-        if (!cachedStr) return null;
-        
-        const cached = JSON.parse(cachedStr);
-        const age = Date.now() - cached.timestamp;
+        const entry = await apiCacheRequest('readonly', store => store.get(getCacheKey(endpoint)));
+        if (!entry) return null;
         
-        // Check if cache is expired
-        if (age > CACHE_DURATION) {
-            localStorage.removeItem(cacheKey);
-            return null;
+        if (Date.now() - entry.lastAccess > ACCESS_WRITE_INTERVAL) {
+            apiCacheRequest('readwrite', store => store.put({ ...entry, lastAccess: Date.now() })).catch(() => {});
         }
-        
-        // Check if user changed (cache belongs to different user)
-        const currentUserId = getUserIdForCache();
-        if (cached.userId !== currentUserId) {
-            // Clear old user's cache entries
-            clearAllCache();
-            return null;
-        }
-        
-        return cached.data;
+        return entry;
     } catch (error) {
         console.warn('Error reading cache:', error);
         return null;
     }
 }
 
-// Store response in localStorage cache
-function setCachedResponse(endpoint, data) {
+// Store response in the cache
+// validators: { etag, lastModified } from the response, for later conditional requests
+async function setCachedResponse(endpoint, data, validators = {}) {
+    const json = JSON.stringify(data);
+    const now = Date.now();
+    const entry = {
+        key: getCacheKey(endpoint),
+        endpoint: normalizeCacheEndpoint(endpoint),
+        userId: getUserIdForCache(),
+        data: data,
+        size: json.length,
+        timestamp: now,
+        lastAccess: now,
+        etag: validators.etag || null,
+        lastModified: validators.lastModified || null
+    };
+    if (entry.size > API_CACHE_BUDGET) return; // Would evict everything else
+    
     try {
-        const cacheKey = getCacheKey(endpoint);
-        const cacheData = {
-            data: data,
-            timestamp: Date.now(),
-            userId: getUserIdForCache()
-        };
-        localStorage.setItem(cacheKey, JSON.stringify(cacheData));
+        await apiCacheRequest('readwrite', store => store.put(entry));
+        await enforceCacheBudget();
     } catch (error) {
         console.warn('Error saving cache:', error);
-        // If storage is full, try to clear old caches
-        if (error.name === 'QuotaExceededError') {
-            clearOldCache();
-            try {
-                localStorage.setItem(cacheKey, JSON.stringify(cacheData));
-            } catch (e) {
-                console.warn('Could not save cache after cleanup:', e);
-            }
-        }
     }
 }
 
-// Clear cache for specific endpoint pattern
-function clearCachePattern(pattern) {
-    try {
-        const userId = getUserIdForCache();
-        const keys = Object.keys(localStorage);
-        keys.forEach(key => {
-            if (key.startsWith(`${CACHE_PREFIX}${userId}_`) && key.includes(pattern)) {
-                localStorage.removeItem(key);
-            }
+// Evict least recently used entries (any user) until the cache fits its budget
+async function enforceCacheBudget() {
+    const entries = await apiCacheRequest('readonly', store => store.index('lastAccess').getAll());
+    let total = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+    const evicted = [];
+    for (const entry of entries) {
+        if (total <= API_CACHE_BUDGET) break;
+        total -= entry.size || 0;
+        evicted.push(entry.key);
+    }
+    if (evicted.length) {
+        await apiCacheRequest('readwrite', store => {
+            evicted.forEach(key => store.delete(key));
         });
-    } catch (error) {
-        console.warn('Error clearing cache pattern:', error);
+        console.log(`API cache over budget, evicted ${evicted.length} entries`);
     }
 }
 
-// Clear all cache for current user
-function clearAllCache() {
-    try {
-        const userId = getUserIdForCache();
-        const keys = Object.keys(localStorage);
-        keys.forEach(key => {
-            if (key.startsWith(`${CACHE_PREFIX}${userId}_`)) {
-                localStorage.removeItem(key);
+// Usage summary for the cache debug panel
+async function getCacheStats() {
+    const entries = await getCacheEntries();
+    return {
+        entries: entries.map(entry => ({ ...entry, fresh: isCacheEntryFresh(entry), ttl: getCachePolicy(entry.endpoint)?.ttl || 0 })),
+        totalSize: entries.reduce((sum, entry) => sum + (entry.size || 0), 0),
+        budget: API_CACHE_BUDGET
+    };
+}
+
+async function deleteCacheEntry(key) {
+    await apiCacheRequest('readwrite', store => store.delete(key));
+}
+
+// A 304 confirmed the entry - keep its data and validators, restart its lifetime
+function touchCacheEntry(endpoint, entry) {
+    setCachedResponse(endpoint, entry.data, entry);
+}
+
+function getResponseValidators(response) {
+    return {
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified')
+    };
+}
+
+function getValidatorHeaders(entry) {
+    const headers = {};
+    if (entry && entry.etag) headers['If-None-Match'] = entry.etag;
+    else if (entry && entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    return headers;
+}
+
+// Subscribe to fresher data for an endpoint path, e.g. '/contacts' (any query string).
+// callback(data, endpoint) runs when a background refresh brings a changed response.
+// Returns an unsubscribe function.
+function subscribeToApi(path, callback) {
+    const subscriber = { path, callback };
+    apiSubscribers.push(subscriber);
+    return () => {
+        const index = apiSubscribers.indexOf(subscriber);
+        if (index !== -1) apiSubscribers.splice(index, 1);
+    };
+}
+
+function notifyApiSubscribers(endpoint, data) {
+    const path = endpoint.split('?')[0];
+    apiSubscribers
+        .filter(subscriber => subscriber.path === path)
+        .forEach(subscriber => {
+            try {
+                subscriber.callback(data, endpoint);
+            } catch (error) {
+                console.error('API subscriber failed:', error);
             }
         });
-    } catch (error) {
-        console.warn('Error clearing all cache:', error);
-    }
 }
 
-// Clear old cache entries (older than 1 hour)
-function clearOldCache() {
+// Refresh a cached entry in the background (conditional request); subscribers are
+// told only when the data actually changed
+function revalidateInBackground(endpoint, options, entry) {
+    const key = `revalidate:${getCacheKey(endpoint)}`;
+    if (inFlightReads.has(key)) return;
+    if (Date.now() - entry.timestamp < REVALIDATE_INTERVAL) return;
+    // Registered as an in-flight read so a write to the same resource can abort it
+    const flight = { endpoint, controller: new AbortController(), supersededBy: null };
+    inFlightReads.set(key, flight);
+    const { signal } = flight.controller;
+    
+    transport(endpoint, {
+        ...options,
+        signal,
+        retry: false,
+        headers: { ...(options.headers || {}), ...getValidatorHeaders(entry) },
+    }).then(async response => {
+        if (response.status === 304) {
+            touchCacheEntry(endpoint, entry);
+            return;
+        }
+        const data = await response.json();
+        if (signal.aborted) return; // Superseded by a write - this data is already old
+        const changed = JSON.stringify(data) !== JSON.stringify(entry.data);
+        // Stored before subscribers hear about it - they may re-read through the cache
+        await setCachedResponse(endpoint, data, getResponseValidators(response));
+        if (changed) {
+            console.log('Fresher data for', endpoint);
+            notifyApiSubscribers(endpoint, data);
+        }
+    }).catch(() => {
+        // Ignore background fetch errors
+    }).finally(() => {
+        if (inFlightReads.get(key) === flight) inFlightReads.delete(key);
+    });
+}
+
+// Delete the entries of an account whose endpoint contains pattern, in one readwrite
+// transaction - so a read issued after this call can't see the old entries
+async function deleteCacheEntries(accountId, pattern) {
+    const prefix = `${accountId}:`;
     try {
-        const oneHourAgo = Date.now() - (60 * 60 * 1000);
-        const keys = Object.keys(localStorage);
-        keys.forEach(key => {
-            if (key.startsWith(CACHE_PREFIX)) {
-                try {
-                    const cached = JSON.parse(localStorage.getItem(key));
-                    if (cached && cached.timestamp < oneHourAgo) {
-                        localStorage.removeItem(key);
-                    }
-                } catch (e) {
-                    // Invalid cache entry, remove it
-                    localStorage.removeItem(key);
-                }
-            }
+        await apiCacheRequest('readwrite', store => {
+            const request = store.openCursor(IDBKeyRange.bound(prefix, `${prefix}\uffff`));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (cursor.value.endpoint.includes(pattern)) cursor.delete();
+                cursor.continue();
+            };
+            return null;
         });
     } catch (error) {
-        console.warn('Error clearing old cache:', error);
+        console.warn('Error clearing cache pattern:', error);
     }
 }
 
+// Clear cache for specific endpoint pattern
+function clearCachePattern(pattern) {
+    return deleteCacheEntries(getUserIdForCache(), pattern);
+}
+
+// Drop everything cached for an account (when it signs out of this device)
+function clearAccountCache(accountId) {
+    return deleteCacheEntries(accountId, '');
+}
+
+// Clear all cache for current user
+function clearAllCache() {
+    return clearCachePattern('');
+}
+
 // Cache invalidation functions
 const cacheInvalidation = {
     // Invalidate profile cache
@@ -241,149 +706,507 @@ const cacheInvalidation = {
     }
 };
 
-// API request helper with offline support
-async function apiRequest(endpoint, options = {}) {
-    const token = getAuthToken();
-    const method = options.method || 'GET';
+// API errors
+// Everything that talks to the backend throws one of these, so callers can branch
+// on the class instead of matching message text. status and payload (the parsed
+// error body) are always attached; status is null when no response arrived.
+class ApiError extends Error {
+    constructor(message, { status = null, payload = null, endpoint = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.payload = payload;
+        this.endpoint = endpoint;
+    }
+}
+
+class NotFoundError extends ApiError {}       // 404
+class UnauthorizedError extends ApiError {}   // 401 - session is gone
+class ForbiddenError extends ApiError {}      // 403
+
+// 400/422 - fieldErrors maps field name to message, e.g. { email: 'Invalid email' }
+class ValidationError extends ApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.fieldErrors = getFieldErrors(details.payload);
+    }
+}
+
+// 429 / 503 - retryAfter is in milliseconds (null when the server didn't say)
+class RateLimitedError extends ApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.retryAfter = details.retryAfter ?? null;
+    }
+}
+
+class ServiceUnavailableError extends ApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.retryAfter = details.retryAfter ?? null;
+    }
+}
+
+class ServerError extends ApiError {}         // Other 5xx
+class TimeoutError extends ApiError {}        // No response in time
+class OfflineError extends ApiError {}        // Server unreachable: offline, DNS, CORS, connection refused
+
+// FastAPI sends [{ loc: ['body', 'email'], msg }]; other endpoints send { errors: { field: msg } }
+function getFieldErrors(payload) {
+    if (!payload) return {};
+    if (Array.isArray(payload.detail)) {
+        const fieldErrors = {};
+        payload.detail.forEach(item => {
+            const field = Array.isArray(item.loc) ? item.loc[item.loc.length - 1] : 'general';
+            fieldErrors[field] = item.msg || 'Invalid value';
+        });
+        return fieldErrors;
+    }
+    return payload.errors || payload.field_errors || {};
+}
+
+function getErrorMessage(payload, fallback) {
+    if (payload && typeof payload.error === 'string') return payload.error;
+    if (payload && typeof payload.detail === 'string') return payload.detail;
+    if (payload && Array.isArray(payload.detail)) {
+        return payload.detail.map(item => item.msg).filter(Boolean).join(', ') || fallback;
+    }
+    return fallback;
+}
+
+// Builds the typed error for a non-2xx response
+async function createResponseError(response, endpoint, fallbackMessage) {
+    const payload = await response.json().catch(() => ({ error: `Request failed with status ${response.status}` }));
+    const status = response.status;
+    const message = getErrorMessage(payload, fallbackMessage || `Request failed with status ${status}`);
+    const details = { status, payload, endpoint, retryAfter: getRetryAfterDelay(response) };
     
-    // Don't set Content-Type for FormData, let browser set it with boundary
-    const isFormData = options.body instanceof FormData;
-    const headers = isFormData ? {} : {
+    if (status === 400 || status === 422) return new ValidationError(message, details);
+    if (status === 401) return new UnauthorizedError(message, details);
+    if (status === 403) return new ForbiddenError(message, details);
+    if (status === 404) return new NotFoundError(message, details);
+    if (status === 408) return new TimeoutError(message, details);
+    if (status === 429) return new RateLimitedError(message, details);
+    if (status === 503) return new ServiceUnavailableError(message, details);
+    if (status >= 500) return new ServerError(message, details);
+    return new ApiError(message, details); // e.g. 409 - payload holds the existing record
+}
+
+// True when the request never got an answer - the cue to fall back to cached or queued data
+function isNetworkError(error) {
+    return error instanceof OfflineError || error instanceof TimeoutError;
+}
+
+// Retry policies
+// Idempotent methods retry network drops, timeouts and 408/429/502/503/504 with
+// exponential backoff and jitter; POSTs only when the endpoint has no side effects
+// or the request carries an Idempotency-Key. A Retry-After header wins over backoff.
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+const DEFAULT_RETRY_POLICY = {
+    retries: 2,
+    baseDelay: 500,
+    maxDelay: 8000,
+    maxRetryAfter: 60000 // Longer waits are left to the caller
+};
+// First match wins; methods lists the non-idempotent methods that may also retry
+const RETRY_POLICIES = [
+    { pattern: /^\/auth\//, retries: 0 }, // Never replay logins or OTP codes
+    { pattern: /^\/ocr\//, methods: ['POST'], retries: 3, maxDelay: 10000 }, // Read-only analysis
+    { pattern: /^\/luma\/fetch-from-url/, methods: ['POST'], retries: 3 }, // Read-only lookup
+    { pattern: /^\/luma\/import-event/, retries: 3 }, // Sent with an Idempotency-Key
+    { pattern: /^\/llm\//, methods: ['POST'], retries: 1, baseDelay: 2000 }, // Slow; one more try is enough
+];
+
+// requestRetry: false disables retries, an object overrides the endpoint's policy
+function getRetryPolicy(endpoint, method, headers, requestRetry) {
+    if (requestRetry === false) return { ...DEFAULT_RETRY_POLICY, retries: 0 };
+    
+    const path = endpoint.split('?')[0];
+    const match = RETRY_POLICIES.find(policy => policy.pattern.test(path)) || {};
+    const policy = { ...DEFAULT_RETRY_POLICY, ...match, ...(requestRetry || {}) };
+    
+    const hasIdempotencyKey = Object.keys(headers).some(name => name.toLowerCase() === 'idempotency-key');
+    const retryable = IDEMPOTENT_METHODS.includes(method) || hasIdempotencyKey || (policy.methods || []).includes(method);
+    return retryable ? policy : { ...policy, retries: 0 };
+}
+
+function getRetryDelay(policy, attempt) {
+    const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt));
+    return Math.round(delay / 2 + Math.random() * delay / 2); // Jitter spreads out retrying clients
+}
+
+// Retry-After is either seconds or an HTTP date; null when absent or unreadable
+function getRetryAfterDelay(response) {
+    const value = response.headers.get('Retry-After');
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// One key per logical request, reused by its retries so the server can deduplicate
+function createIdempotencyKey() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now()}_${Math.random().toString(36).slice(2)}`;
+}
+
+function createAbortError() {
+    const error = new Error('Request cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+// Waits out a retry delay, ending early if the caller aborts
+function waitBeforeRetry(delay, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, delay);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+const REQUEST_TIMEOUT = 30000; // Per attempt
+const UPLOAD_TIMEOUT = 120000; // Multipart uploads get longer on a slow connection
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+// JSON content type (FormData sets its own, with the boundary) plus the auth token
+function buildRequestHeaders(endpoint, body, extraHeaders, withAuth = true) {
+    const headers = body instanceof FormData ? {} : {
         'Content-Type': 'application/json',
     };
     
     // Merge any additional headers
-    if (options.headers) {
-        Object.assign(headers, options.headers);
+    if (extraHeaders) {
+        Object.assign(headers, extraHeaders);
     }
 
+    const token = withAuth ? getAuthToken() : null;
     if (token) {
         headers['Authorization'] = `Bearer ${token}`;
         debugLog('Token found, adding to headers');
     } else {
         debugWarn('No token found for request to:', endpoint);
     }
+    return headers;
+}
 
-    // Initialize timeout controller early
-    const timeout = 30000; // 30 seconds timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-    // Check cache for GET requests (use cache even when online for performance)
-    if (shouldCache(endpoint, method)) {
-        const cached = getCachedResponse(endpoint);
-        if (cached) {
-            // Return cached data immediately, but also fetch fresh data in background
-            if (navigator.onLine) {
-                // Create a separate controller for background fetch (don't use timeout controller)
-                const bgController = new AbortController();
-                // Fetch fresh data in background (don't await)
-                fetch(normalizeApiUrl(endpoint), {
-                    ...options,
-                    headers,
-                    signal: bgController.signal,
-                }).then(response => {
-                    if (response.ok) {
-                        return response.json();
-                    }
-                }).then(data => {
-                    if (data) {
-                        setCachedResponse(endpoint, data);
-                    }
-                }).catch(() => {
-                    // Ignore background fetch errors
-                });
-            }
-            clearTimeout(timeoutId); // Clear timeout since we're returning cached data
-            console.log('Using cached data:', endpoint);
-            return cached;
+// One network attempt. fetch can't report upload progress, so requests that ask for
+// it go through XMLHttpRequest; either way the caller gets a Response, and failures
+// look the same (TypeError for network, AbortError for abort).
+function sendRequest(url, { method, headers, body, signal, onUploadProgress }) {
+    if (!onUploadProgress) {
+        return fetch(url, { method, headers, body, signal });
+    }
+    
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createAbortError());
+            return;
         }
+        
+        const xhr = new XMLHttpRequest();
+        xhr.open(method, url);
+        xhr.responseType = 'blob';
+        Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+        
+        xhr.upload.onprogress = (event) => {
+            if (!event.lengthComputable) return;
+            onUploadProgress({
+                loaded: event.loaded,
+                total: event.total,
+                percent: Math.round((event.loaded / event.total) * 100)
+            });
+        };
+        xhr.onload = () => {
+            const responseHeaders = new Headers();
+            xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).forEach(line => {
+                const separator = line.indexOf(':');
+                if (separator > 0) {
+                    responseHeaders.append(line.slice(0, separator).trim(), line.slice(separator + 1).trim());
+                }
+            });
+            resolve(new Response(NULL_BODY_STATUSES.includes(xhr.status) ? null : xhr.response, {
+                status: xhr.status,
+                statusText: xhr.statusText,
+                headers: responseHeaders
+            }));
+        };
+        xhr.onerror = () => reject(new TypeError('Failed to fetch'));
+        xhr.onabort = () => reject(createAbortError());
+        if (signal) signal.addEventListener('abort', () => xhr.abort(), { once: true });
+        
+        xhr.send(body);
+    });
+}
+
+// The transport every api method goes through: auth header, per-attempt timeout,
+// cancellation, retries, redirects, 401 handling and typed errors.
+// Resolves to the Response of a successful request; apiRequest adds caching and JSON.
+// Options besides method/body/headers:
+//   signal            - cancel (rejects with an AbortError)
+//   retry             - false, or a policy overriding the endpoint's (see RETRY_POLICIES)
+//   timeout           - per attempt, in ms
+//   onUploadProgress  - called with { loaded, total, percent } while the body uploads
+//   errorMessage      - message for failures whose body doesn't carry one
+//   skipAuth          - send without the access token and leave 401s to the caller
+// A 401 renews the access token once (see refreshAuthToken) and replays the request.
+// Writes supersede in-flight reads of the same resource (see coalesceRead).
+async function transport(endpoint, requestOptions = {}) {
+    const method = (requestOptions.method || 'GET').toUpperCase();
+    if (method === 'GET' || method === 'HEAD') {
+        return sendTransportRequest(endpoint, requestOptions);
     }
+    
+    let settle;
+    const settled = new Promise(resolve => { settle = resolve; });
+    supersedeReads(endpoint, settled);
+    try {
+        return await sendTransportRequest(endpoint, requestOptions);
+    } finally {
+        // Reads started while the write was on the wire may have missed it too
+        supersedeReads(endpoint, Promise.resolve());
+        settle();
+    }
+}
+
+async function sendTransportRequest(endpoint, requestOptions) {
+    const { signal, retry, timeout, onUploadProgress, errorMessage, skipAuth, authReplay, ...options } = requestOptions;
+    const method = options.method || 'GET';
+    const body = options.body;
+    if (!skipAuth) await renewAuthTokenIfExpiring();
+    const sentToken = skipAuth ? null : getAuthToken();
+    const headers = buildRequestHeaders(endpoint, body, options.headers, !skipAuth);
+    const attemptTimeout = timeout || (body instanceof FormData ? UPLOAD_TIMEOUT : REQUEST_TIMEOUT);
+    const retryPolicy = getRetryPolicy(endpoint, method, headers, retry);
 
     let response;
     
-    try {
-        const fullUrl = normalizeApiUrl(endpoint);
-        console.log(`Making ${method} request to: ${fullUrl}`);
-        response = await fetch(fullUrl, {
-            ...options,
-            headers,
-            signal: controller.signal,
-        });
-        clearTimeout(timeoutId);
-        console.log(`Response status: ${response.status} ${response.statusText}`);
+    for (let attempt = 0; ; attempt++) {
+        if (signal && signal.aborted) throw createAbortError();
         
-        // Handle redirects (307, 308)
-        if (response.status === 307 || response.status === 308) {
-            const redirectUrl = response.headers.get('Location');
-            console.log(`Redirect detected (${response.status}), following to: ${redirectUrl}`);
-            // Follow redirect
-            response = await fetch(redirectUrl, {
-                ...options,
-                headers,
-                signal: controller.signal,
-            });
-            clearTimeout(timeoutId);
-            console.log(`After redirect - Response status: ${response.status} ${response.statusText}`);
-        }
-    } catch (fetchError) {
-        clearTimeout(timeoutId);
-        
-        // Handle timeout
-        if (fetchError.name === 'AbortError') {
-            console.error('Request timeout:', endpoint);
-            throw new Error(`Request timeout. The server took too long to respond.\n\nPossible causes:\n1. Database connection is hanging\n2. Backend server is stuck\n3. Network issues\n\nTry:\n1. Check backend terminal/logs for errors\n2. Verify database is running: ./check_setup.sh\n3. Restart the backend server`);
-        }
+        // Each attempt gets its own timeout; the caller's signal aborts whichever is running
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), attemptTimeout);
+        const abortAttempt = () => controller.abort();
+        if (signal) signal.addEventListener('abort', abortAttempt, { once: true });
+        const canRetry = attempt < retryPolicy.retries;
+        const request = { method, headers, body, signal: controller.signal, onUploadProgress };
         
-        // Check if it's a CORS or network error
-        if (fetchError.message.includes('Failed to fetch') || fetchError.message.includes('NetworkError')) {
-            console.error('Network/CORS error:', fetchError);
-            console.error('Request URL:', `${API_BASE_URL}${endpoint}`);
-            console.error('Is server running? Check: http://localhost:8000/api/health');
-            throw new Error(`Cannot connect to server. Please check:\n1. Backend server is running (http://localhost:8000/api/health)\n2. No CORS errors in browser console\n3. Network connection is active\n4. Database is running and accessible`);
+        try {
+            const fullUrl = normalizeApiUrl(endpoint);
+            console.log(`Making ${method} request to: ${fullUrl}${attempt ? ` (retry ${attempt})` : ''}`);
+            response = await sendRequest(fullUrl, request);
+            console.log(`Response status: ${response.status} ${response.statusText}`);
+            
+            // Handle redirects (307, 308)
+            if (response.status === 307 || response.status === 308) {
+                const redirectUrl = response.headers.get('Location');
+                console.log(`Redirect detected (${response.status}), following to: ${redirectUrl}`);
+                // Follow redirect
+                response = await sendRequest(redirectUrl, request);
+                console.log(`After redirect - Response status: ${response.status} ${response.statusText}`);
+            }
+        } catch (fetchError) {
+            if (signal && signal.aborted) {
+                throw createAbortError();
+            }
+            
+            // Dropped connections and timeouts are retried while we're online;
+            // offline callers fall back to the cache or the offline queue straight away
+            if (canRetry && navigator.onLine) {
+                const delay = getRetryDelay(retryPolicy, attempt);
+                console.warn(`Request to ${endpoint} failed (${fetchError.name}), retrying in ${delay}ms`);
+                await waitBeforeRetry(delay, signal);
+                continue;
+            }
+            
+            // Handle timeout
+            if (fetchError.name === 'AbortError') {
+                console.error('Request timeout:', endpoint);
+                throw new TimeoutError(`Request timeout. The server took too long to respond.\n\nPossible causes:\n1. Database connection is hanging\n2. Backend server is stuck\n3. Network issues\n\nTry:\n1. Check backend terminal/logs for errors\n2. Verify database is running: ./check_setup.sh\n3. Restart the backend server`, { endpoint });
+            }
+            
+            // Check if it's a CORS or network error
+            if (fetchError.message.includes('Failed to fetch') || fetchError.message.includes('NetworkError')) {
+                console.error('Network/CORS error:', fetchError);
+                console.error('Request URL:', `${API_BASE_URL}${endpoint}`);
+                console.error('Is server running? Check: http://localhost:8000/api/health');
+                throw new OfflineError(`Cannot connect to server. Please check:\n1. Backend server is running (http://localhost:8000/api/health)\n2. No CORS errors in browser console\n3. Network connection is active\n4. Database is running and accessible`, { endpoint });
+            }
+            
+            console.error('Fetch error:', fetchError);
+            throw new OfflineError(`Network error: ${fetchError.message}. Please check if the backend server is running.`, { endpoint });
+        } finally {
+            clearTimeout(timeoutId);
+            if (signal) signal.removeEventListener('abort', abortAttempt);
         }
         
-        // Try to return cached data if offline
-        if (!navigator.onLine && shouldCache(endpoint, method)) {
-            const cached = getCachedResponse(endpoint);
-            if (cached) {
-                console.warn('Using cached data (offline):', endpoint);
-                return cached;
+        if (canRetry && RETRYABLE_STATUSES.includes(response.status)) {
+            const retryAfter = getRetryAfterDelay(response);
+            const delay = retryAfter !== null ? retryAfter : getRetryDelay(retryPolicy, attempt);
+            if (delay <= retryPolicy.maxRetryAfter) {
+                console.warn(`Request to ${endpoint} returned ${response.status}, retrying in ${delay}ms`);
+                await waitBeforeRetry(delay, signal);
+                continue;
             }
         }
-        
-        console.error('Fetch error:', fetchError);
-        throw new Error(`Network error: ${fetchError.message}. Please check if the backend server is running.`);
+        break;
     }
 
-    if (response.status === 401) {
-        // Unauthorized - clear auth and redirect to login
-        // Only redirect if we're not already on auth screen
-        const authScreen = document.getElementById('authScreen');
-        if (!authScreen || !authScreen.classList.contains('hidden')) {
-            // Already on auth screen, don't redirect
-            clearAuthToken();
-            throw new Error('Unauthorized');
+    if (response.status === 401 && !skipAuth) {
+        // Login endpoints answer 401 for wrong credentials - nothing to renew there
+        if (sentToken && !authReplay && !endpoint.startsWith('/auth/')) {
+            let renewed = getAuthToken() !== sentToken; // Another request renewed it meanwhile
+            if (!renewed) {
+                try {
+                    await refreshAuthToken();
+                    renewed = true;
+                } catch (refreshError) {
+                    if (!(refreshError instanceof UnauthorizedError)) throw refreshError;
+                }
+            }
+            if (renewed && getAuthToken()) {
+                console.log('Replaying after session renewal:', endpoint);
+                return sendTransportRequest(endpoint, { ...requestOptions, authReplay: true });
+            }
         }
-        clearAuthToken();
-        if (typeof showAuthScreen === 'function') {
-            showAuthScreen();
+        endAuthSession();
+        throw new UnauthorizedError('Unauthorized', { status: 401, endpoint });
+    }
+    if (response.status === 401) {
+        throw await createResponseError(response, endpoint, errorMessage);
+    }
+
+    // 304 only comes back to conditional requests, which handle it themselves
+    if (!response.ok && response.status !== 304) {
+        const error = await createResponseError(response, endpoint, errorMessage);
+        console.error('API error response:', error.payload);
+        throw error;
+    }
+    
+    return response;
+}
+
+// In-flight request coalescing
+// Concurrent identical GETs (same user, same normalized endpoint) share one request.
+// A write (any transport() call that isn't a GET) supersedes reads of the same resource -
+// the first path segment, e.g. /contacts for PUT /contacts/5 - that are still on the
+// wire, both when it starts and when it settles: they are aborted so pre-write data
+// can't land in the cache, and their callers get a fresh network read once the write is done.
+const inFlightReads = new Map();
+
+function getResourceRoot(endpoint) {
+    return '/' + (endpoint.split('?')[0].split('/')[1] || '');
+}
+
+function supersedeReads(endpoint, write) {
+    const root = getResourceRoot(endpoint);
+    for (const [key, flight] of inFlightReads) {
+        if (getResourceRoot(flight.endpoint) !== root) continue;
+        inFlightReads.delete(key);
+        flight.supersededBy = write;
+        flight.controller.abort();
+    }
+}
+
+// Reject when the caller's signal aborts without cancelling the request others share
+function withCallerSignal(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(createAbortError());
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(createAbortError());
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+function coalesceRead(endpoint, requestOptions) {
+    const { signal, ...options } = requestOptions;
+    const key = `${options.skipCache ? 'network' : 'read'}:${getCacheKey(endpoint)}`;
+    let flight = inFlightReads.get(key);
+    if (!flight) {
+        const controller = new AbortController();
+        const newFlight = { endpoint, controller, supersededBy: null };
+        newFlight.promise = sendApiRequest(endpoint, { ...options, signal: controller.signal })
+            .catch(error => {
+                if (!newFlight.supersededBy) throw error;
+                return newFlight.supersededBy
+                    .catch(() => {})
+                    .then(() => apiRequest(endpoint, { ...options, skipCache: true }));
+            })
+            .finally(() => {
+                if (inFlightReads.get(key) === newFlight) inFlightReads.delete(key);
+            });
+        inFlightReads.set(key, newFlight);
+        flight = newFlight;
+    } else {
+        console.log('Joining in-flight request:', endpoint);
+    }
+    return withCallerSignal(flight.promise, signal);
+}
+
+// API request helper with offline support
+// GETs are coalesced (see above); the request itself is made by sendApiRequest
+async function apiRequest(endpoint, requestOptions = {}) {
+    const method = (requestOptions.method || 'GET').toUpperCase();
+    if (method === 'GET') {
+        return coalesceRead(endpoint, requestOptions);
+    }
+    return sendApiRequest(endpoint, requestOptions);
+}
+
+// Send one API request, with the response cache
+// Pass skipCache: true to always hit the network (fresh data is still cached);
+// everything else is passed to transport()
+async function sendApiRequest(endpoint, requestOptions = {}) {
+    const { skipCache, ...options } = requestOptions;
+    const method = options.method || 'GET';
+    const cacheable = shouldCache(endpoint, method);
+    const entry = cacheable ? await readCacheEntry(endpoint) : null;
+
+    // Check cache for GET requests (use cache even when online for performance)
+    if (!skipCache && entry && isCacheEntryFresh(entry)) {
+        // Return cached data immediately, but also fetch fresh data in background
+        if (navigator.onLine) {
+            revalidateInBackground(endpoint, options, entry);
         }
-        throw new Error('Unauthorized');
+        console.log('Using cached data:', endpoint);
+        return entry.data;
     }
 
-    if (!response.ok) {
-        let errorData;
-        try {
-            errorData = await response.json();
-        } catch (e) {
-            errorData = { error: `Request failed with status ${response.status}` };
+    let response;
+    try {
+        // An expired (or skipped) entry still lets the server answer 304 Not Modified
+        response = await transport(endpoint, {
+            ...options,
+            headers: { ...(options.headers || {}), ...getValidatorHeaders(entry) },
+        });
+    } catch (error) {
+        // Try to return cached data if offline - expired beats nothing
+        if (isNetworkError(error) && !navigator.onLine && entry) {
+            console.warn('Using cached data (offline):', endpoint);
+            return entry.data;
         }
-        console.error('API error response:', errorData);
-        const error = new Error(errorData.error || errorData.detail || `Request failed with status ${response.status}`);
-        error.status = response.status; // Preserve status code for rate limiting checks
         throw error;
     }
+    
+    if (response.status === 304 && entry) {
+        touchCacheEntry(endpoint, entry);
+        console.log('Not modified, using cached data:', endpoint);
+        return entry.data;
+    }
 
     let data;
     try {
@@ -391,12 +1214,12 @@ async function apiRequest(endpoint, options = {}) {
         console.log('API response data:', data);
     } catch (e) {
         console.error('Failed to parse JSON response:', e);
-        throw new Error('Invalid response from server');
+        throw new ServerError('Invalid response from server', { status: response.status, endpoint });
     }
     
     // Cache successful GET responses
-    if (response.ok && shouldCache(endpoint, method)) {
-        setCachedResponse(endpoint, data);
+    if (cacheable) {
+        setCachedResponse(endpoint, data, getResponseValidators(response));
     }
     
     return data;
@@ -410,7 +1233,7 @@ const api = {
             method: 'POST',
             body: JSON.stringify({ provider, email, name, photo, oauth_id: oauthId }),
         });
-        setAuthToken(data.token);
+        setAuthSession(data);
         setCurrentUser(data.user);
         // Clear all cache on login (new user session)
         cacheInvalidation.invalidateAll();
@@ -426,7 +1249,7 @@ const api = {
             method: 'POST',
             body: JSON.stringify(body),
         });
-        setAuthToken(data.token);
+        setAuthSession(data);
         setCurrentUser(data.user);
         // Clear all cache on login (new user session)
         cacheInvalidation.invalidateAll();
@@ -456,19 +1279,63 @@ const api = {
             method: 'POST',
             body: JSON.stringify(body),
         });
-        setAuthToken(data.token);
+        setAuthSession(data);
+        setCurrentUser(data.user);
+        // Clear all cache on login (new user session)
+        cacheInvalidation.invalidateAll();
+        return data;
+    },
+
+    // Passkeys (WebAuthn) - options and credentials travel as WebAuthn JSON (base64url)
+    async getPasskeyLoginOptions() {
+        return apiRequest('/auth/passkey/options', {
+            method: 'POST',
+        });
+    },
+
+    async passkeyLogin(credential) {
+        const data = await apiRequest('/auth/passkey/verify', {
+            method: 'POST',
+            body: JSON.stringify({ credential }),
+        });
+        setAuthSession(data);
         setCurrentUser(data.user);
         // Clear all cache on login (new user session)
         cacheInvalidation.invalidateAll();
         return data;
     },
 
+    // [{ id, name, created_at, last_used_at }]
+    async getPasskeys() {
+        return apiRequest('/passkeys');
+    },
+
+    async getPasskeyRegistrationOptions() {
+        return apiRequest('/passkeys/options', {
+            method: 'POST',
+        });
+    },
+
+    async registerPasskey(credential, name) {
+        return apiRequest('/passkeys', {
+            method: 'POST',
+            body: JSON.stringify({ credential, name }),
+        });
+    },
+
+    async deletePasskey(passkeyId) {
+        return apiRequest(`/passkeys/${passkeyId}`, {
+            method: 'DELETE',
+        });
+    },
+
     // Profile
     async getProfile() {
         return apiRequest('/profile');
     },
 
-    async updateProfile(profileData, photoFile) {
+    // Uploads take options.onUploadProgress and options.signal (see transport)
+    async updateProfile(profileData, photoFile, options = {}) {
         const formData = new FormData();
         if (photoFile) formData.append('photo', photoFile);
         if (profileData.name) formData.append('name', profileData.name);
@@ -479,20 +1346,13 @@ const api = {
         if (profileData.linkedin_url !== undefined) formData.append('linkedin_url', profileData.linkedin_url);
         if (profileData.about_me !== undefined) formData.append('about_me', profileData.about_me);
 
-        const token = getAuthToken();
-        const response = await fetch(normalizeApiUrl('/profile'), {
+        const response = await transport('/profile', {
             method: 'PUT',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-            },
             body: formData,
+            signal: options.signal,
+            onUploadProgress: options.onUploadProgress,
         });
 
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({ error: 'Request failed' }));
-            throw new Error(error.error || error.detail || 'Request failed');
-        }
-
         const data = await response.json();
         setCurrentUser(data);
         
@@ -522,13 +1382,14 @@ const api = {
         return apiRequest('/events');
     },
 
-    async getEvent(eventId) {
-        return apiRequest(`/events/${eventId}`);
+    async getEvent(eventId, options = {}) {
+        return apiRequest(`/events/${eventId}`, options);
     },
 
-    async createEvent(eventData) {
+    async createEvent(eventData, options = {}) {
         const result = await apiRequest('/events', {
             method: 'POST',
+            headers: options.idempotencyKey ? { 'Idempotency-Key': options.idempotencyKey } : undefined,
             body: JSON.stringify(eventData),
         });
         cacheInvalidation.invalidateEvents();
@@ -544,10 +1405,12 @@ const api = {
         return result;
     },
 
-    async importLumaEventFromUrl(url) {
+    async importLumaEventFromUrl(url, options = {}) {
         const result = await apiRequest('/luma/import-event', {
             method: 'POST',
             body: JSON.stringify({ url }),
+            headers: { 'Idempotency-Key': createIdempotencyKey() },
+            signal: options.signal,
         });
         cacheInvalidation.invalidateEvents();
         return result;
@@ -571,10 +1434,11 @@ const api = {
     },
 
     // Luma Integration
-    async fetchLumaEventFromUrl(lumaUrl) {
+    async fetchLumaEventFromUrl(lumaUrl, options = {}) {
         return apiRequest('/luma/fetch-from-url', {
             method: 'POST',
             body: JSON.stringify({ url: lumaUrl }),
+            signal: options.signal,
         });
     },
 
@@ -615,26 +1479,21 @@ const api = {
         return data;
     },
 
-    async analyzeBusinessCard(file) {
+    async analyzeBusinessCard(file, options = {}) {
         const formData = new FormData();
         formData.append('file', file, file.name || 'business-card.jpg');
 
-        const token = getAuthToken();
-        const response = await fetch(normalizeApiUrl('/ocr/business-card'), {
+        return apiRequest('/ocr/business-card', {
             method: 'POST',
-            headers: token ? { 'Authorization': `Bearer ${token}` } : {},
             body: formData,
+            signal: options.signal,
+            onUploadProgress: options.onUploadProgress,
         });
-
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({ error: 'OCR request failed' }));
-            throw new Error(error.error || error.detail || 'OCR request failed');
-        }
-
-        return response.json();
     },
 
-    async createContact(contactData, photoFile, mediaFiles) {
+    // Pass options.idempotencyKey so a retried create returns the original contact instead of a duplicate;
+    // options.onUploadProgress and options.signal as for updateProfile
+    async createContact(contactData, photoFile, mediaFiles, options = {}) {
         const formData = new FormData();
         formData.append('name', contactData.name);
         if (contactData.email) formData.append('email', contactData.email);
@@ -656,26 +1515,22 @@ const api = {
             mediaFiles.forEach(file => formData.append('media', file));
         }
 
-        const token = getAuthToken();
-        const response = await fetch(normalizeApiUrl('/contacts'), {
+        const headers = {};
+        if (options.idempotencyKey) headers['Idempotency-Key'] = options.idempotencyKey;
+        const response = await transport('/contacts', {
             method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-            },
+            headers,
             body: formData,
+            signal: options.signal,
+            onUploadProgress: options.onUploadProgress,
         });
 
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({ error: 'Request failed' }));
-            throw new Error(error.error || error.detail || 'Request failed');
-        }
-
         const result = await response.json();
         cacheInvalidation.invalidateContacts();
         return result;
     },
 
-    async updateContact(contactId, contactData, photoFile, mediaFiles) {
+    async updateContact(contactId, contactData, photoFile, mediaFiles, options = {}) {
         const formData = new FormData();
         if (contactData.name) formData.append('name', contactData.name);
         if (contactData.email !== undefined) formData.append('email', contactData.email);
@@ -708,20 +1563,13 @@ const api = {
             mediaFiles.forEach(file => formData.append('media', file));
         }
 
-        const token = getAuthToken();
-        const response = await fetch(normalizeApiUrl(`/contacts/${contactId}`), {
+        const response = await transport(`/contacts/${contactId}`, {
             method: 'PUT',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-            },
             body: formData,
+            signal: options.signal,
+            onUploadProgress: options.onUploadProgress,
         });
 
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({ error: 'Request failed' }));
-            throw new Error(error.error || error.detail || 'Request failed');
-        }
-
         const result = await response.json();
         cacheInvalidation.invalidateContacts();
         return result;
@@ -751,7 +1599,7 @@ const api = {
             return await apiRequest(`/contacts/find?${params.toString()}`);
         } catch (error) {
             // 404 means contact not found, return null
-            if (error.message.includes('404') || error.message.includes('not found')) {
+            if (error instanceof NotFoundError) {
                 return null;
             }
             throw error;
@@ -761,42 +1609,26 @@ const api = {
     async addMessageToContact(contactId, message) {
         const formData = new FormData();
         formData.append('message', message);
-        const token = getAuthToken();
-        const response = await fetch(normalizeApiUrl(`/contacts/${contactId}/message`), {
+        const response = await transport(`/contacts/${contactId}/message`, {
             method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-            },
             body: formData,
         });
 
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({ error: 'Request failed' }));
-            throw new Error(error.error || error.detail || 'Request failed');
-        }
-
         const result = await response.json();
         cacheInvalidation.invalidateContacts();
         return result;
     },
 
-    async addMediaToContact(contactId, file) {
+    async addMediaToContact(contactId, file, options = {}) {
         const formData = new FormData();
         formData.append('file', file);
-        const token = getAuthToken();
-        const response = await fetch(normalizeApiUrl(`/contacts/${contactId}/media`), {
+        const response = await transport(`/contacts/${contactId}/media`, {
             method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-            },
             body: formData,
+            signal: options.signal,
+            onUploadProgress: options.onUploadProgress,
         });
 
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({ error: 'Request failed' }));
-            throw new Error(error.error || error.detail || 'Request failed');
-        }
-
         const result = await response.json();
         cacheInvalidation.invalidateContacts();
         return result;
@@ -846,16 +1678,7 @@ const api = {
 
     // Export
     async exportEventPDF(eventId) {
-        const token = getAuthToken();
-        const response = await fetch(normalizeApiUrl(`/export/event/${eventId}/pdf`), {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-            },
-        });
-
-        if (!response.ok) {
-            throw new Error('Failed to export PDF');
-        }
+        const response = await transport(`/export/event/${eventId}/pdf`, { errorMessage: 'Failed to export PDF' });
 
         const blob = await response.blob();
         const url = window.URL.createObjectURL(blob);
@@ -869,16 +1692,7 @@ const api = {
     },
 
     async exportEventCSV(eventId) {
-        const token = getAuthToken();
-        const response = await fetch(normalizeApiUrl(`/export/event/${eventId}/csv`), {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-            },
-        });
-
-        if (!response.ok) {
-            throw new Error('Failed to export CSV');
-        }
+        const response = await transport(`/export/event/${eventId}/csv`, { errorMessage: 'Failed to export CSV' });
 
         const blob = await response.blob();
         const url = window.URL.createObjectURL(blob);
@@ -892,20 +1706,12 @@ const api = {
     },
 
     async exportContactsPDF(contactIds) {
-        const token = getAuthToken();
-        const response = await fetch(normalizeApiUrl('/export/contacts/pdf'), {
+        const response = await transport('/export/contacts/pdf', {
             method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json',
-            },
             body: JSON.stringify({ contact_ids: contactIds }),
+            errorMessage: 'Failed to export PDF',
         });
 
-        if (!response.ok) {
-            throw new Error('Failed to export PDF');
-        }
-
         const blob = await response.blob();
         const url = window.URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -918,20 +1724,12 @@ const api = {
     },
 
     async exportContactsCSV(contactIds) {
-        const token = getAuthToken();
-        const response = await fetch(normalizeApiUrl('/export/contacts/csv'), {
+        const response = await transport('/export/contacts/csv', {
             method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json',
-            },
             body: JSON.stringify({ contact_ids: contactIds }),
+            errorMessage: 'Failed to export CSV',
         });
 
-        if (!response.ok) {
-            throw new Error('Failed to export CSV');
-        }
-
         const blob = await response.blob();
         const url = window.URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -952,16 +1750,18 @@ const api = {
         return apiRequest('/tags/system');
     },
 
-    async getTagsForManagement() {
-        return apiRequest('/tags/manage/');
+    async getTagsForManagement(options = {}) {
+        return apiRequest('/tags/manage/', options);
     },
 
-    async createTag(name) {
+    async createTag(name, options = {}) {
+        const headers = {
+            'Content-Type': 'application/json',
+        };
+        if (options.idempotencyKey) headers['Idempotency-Key'] = options.idempotencyKey;
         const result = await apiRequest('/tags/', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
+            headers,
             body: JSON.stringify({ name }),
         });
         cacheInvalidation.invalidateTags();
@@ -1034,12 +1834,33 @@ const api = {
         const data = await apiRequest(`/admins/login-as/${userId}`, {
             method: 'POST',
         });
-        setAuthToken(data.token);
+        setAuthSession(data);
         setCurrentUser(data.user);
         cacheInvalidation.invalidateAll();
         return data;
     },
 
+    // Sessions - every device this account is logged in on
+    // [{ id, device, browser, os, location, last_seen_at, push_endpoint, current }]
+    async getSessions() {
+        return apiRequest('/sessions');
+    },
+
+    // 'current' revokes this device's session; options as for unsubscribePush
+    async revokeSession(sessionId, options = {}) {
+        return apiRequest(`/sessions/${sessionId}`, {
+            ...options,
+            method: 'DELETE',
+        });
+    },
+
+    // Every session of the account, this one included
+    async revokeAllSessions() {
+        return apiRequest('/sessions', {
+            method: 'DELETE',
+        });
+    },
+
     // Push Notifications
     async getVapidPublicKey() {
         return apiRequest('/push/vapid-public-key');
@@ -1052,8 +1873,10 @@ const api = {
         });
     },
 
-    async unsubscribePush(endpoint) {
+    // options: transport options, e.g. another signed-in account's Authorization header
+    async unsubscribePush(endpoint, options = {}) {
         return apiRequest('/push/unsubscribe', {
+            ...options,
             method: 'POST',
             body: JSON.stringify({ endpoint }),
         });
@@ -10,6 +10,8 @@ import os
 import socketserver
 from urllib.parse import urlparse
 
+from generate_precache_manifest import run as generate_precache_manifest
+
 FRONTEND_DIR = os.path.dirname(os.path.abspath(__file__))
 HOST = os.environ.get("DEV_SERVER_HOST", "0.0.0.0")
 PORT = int(os.environ.get("DEV_SERVER_PORT", "8080"))
@@ -73,6 +75,8 @@ class SPARequestHandler(http.server.SimpleHTTPRequestHandler):
 
 
 def run():
+    # The service worker imports this; regenerate so it matches the files being served
+    generate_precache_manifest()
     with socketserver.TCPServer((HOST, PORT), SPARequestHandler) as httpd:
         print(f"🚀 pplai.app frontend dev server running at http://{HOST}:{PORT}")
         print("    Serving directory:", FRONTEND_DIR)
@@ -91,6 +91,11 @@ if [ ! -f /usr/share/nginx/html/index.html ]; then
 fi
 echo "✅ index.html created successfully"
 
+# Hash the files as served (index.html includes the injected values), so a new
+# API_BASE_URL also gives the service worker a new cache version
+echo "Generating precache manifest..."
+PRECACHE_ROOT=/usr/share/nginx/html python3 /opt/pplai/generate_precache_manifest.py
+
 # Test nginx config
 echo "Testing nginx configuration..."
 if ! nginx -t; then
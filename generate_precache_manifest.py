@@ -0,0 +1,93 @@
+#!/usr/bin/env python3
+
+"""
+Generate precache-manifest.js for the service worker.
+
+Lists the app shell files with a content hash per file, plus the third-party
+scripts the app needs offline (QR scanning and OCR). The manifest version is a
+hash of all revisions, so any change to an app file gives the service worker a
+new cache name and a fresh precache.
+
+Run after changing any file in APP_SHELL_FILES:
+    python3 generate_precache_manifest.py
+
+The Docker image runs it at container start, after index.html has been rendered
+from its template, with PRECACHE_ROOT pointing at the served directory.
+"""
+
+import glob
+import hashlib
+import json
+import os
+
+FRONTEND_DIR = os.environ.get("PRECACHE_ROOT", os.path.dirname(os.path.abspath(__file__)))
+OUTPUT_FILE = os.path.join(FRONTEND_DIR, "precache-manifest.js")
+
+# Files served from this origin that make up the app shell
+APP_SHELL_FILES = [
+    "index.html",
+    "script.js",
+    "api.js",
+    "offline-queue-replay.js",
+    "offline-queue.js",
+    "styles.css",
+    "manifest.json",
+]
+
+# Icons are picked up automatically when present
+ICON_PATTERNS = ["icon-*.png", "icons/*.png", "icons/*.svg"]
+
+# Versioned CDN assets - the URL pins the version, so it doubles as the revision.
+# Tesseract.js loads its worker, core and language data lazily; precaching them lets
+# business card OCR run without a connection.
+EXTERNAL_ASSETS = [
+    "https://cdn.jsdelivr.net/npm/jsqr@1.4.0/dist/jsQR.min.js",
+    "https://cdn.jsdelivr.net/npm/tesseract.js@5.0.4/dist/tesseract.min.js",
+    "https://cdn.jsdelivr.net/npm/tesseract.js@v5.0.4/dist/worker.min.js",
+    "https://cdn.jsdelivr.net/npm/tesseract.js-core@v5.0.0/tesseract-core-simd-lstm.wasm.js",
+    "https://cdn.jsdelivr.net/npm/tesseract.js-core@v5.0.0/tesseract-core-lstm.wasm.js",
+    "https://tessdata.projectnaptha.com/4.0.0/eng.traineddata.gz",
+]
+
+
+def file_revision(path):
+    with open(path, "rb") as f:
+        return hashlib.sha256(f.read()).hexdigest()[:12]
+
+
+def collect_files():
+    files = []
+    for name in APP_SHELL_FILES:
+        path = os.path.join(FRONTEND_DIR, name)
+        if not os.path.exists(path):
+            raise SystemExit(f"❌ App shell file missing: {name}")
+        files.append({"url": f"/{name}", "revision": file_revision(path)})
+
+    for pattern in ICON_PATTERNS:
+        for path in sorted(glob.glob(os.path.join(FRONTEND_DIR, pattern))):
+            name = os.path.relpath(path, FRONTEND_DIR).replace(os.sep, "/")
+            files.append({"url": f"/{name}", "revision": file_revision(path)})
+
+    return files
+
+
+def run():
+    files = collect_files()
+    version_source = "".join(f"{f['url']}:{f['revision']}" for f in files) + "".join(EXTERNAL_ASSETS)
+    version = hashlib.sha256(version_source.encode("utf-8")).hexdigest()[:12]
+
+    manifest = {
+        "version": version,
+        "files": files,
+        "external": EXTERNAL_ASSETS,
+    }
+
+    with open(OUTPUT_FILE, "w") as f:
+        f.write("// Generated by generate_precache_manifest.py - do not edit by hand.\n")
+        f.write(f"self.PRECACHE_MANIFEST = {json.dumps(manifest, indent=4)};\n")
+
+    print(f"✅ Wrote {os.path.basename(OUTPUT_FILE)} (version {version}, {len(files)} files, {len(EXTERNAL_ASSETS)} external assets)")
+
+
+if __name__ == "__main__":
+    run()
@@ -0,0 +1,285 @@
+/**
+ * Offline Queue Replay
+ * Shared by the page (offline-queue.js) and the service worker (sw.js, via importScripts)
+ * so both replay the queue by the same rules: in the order items were made, after the
+ * items they depend on, with backoff for transient failures and a dead-letter list for
+ * the rest. Workers have no DOM or localStorage, so nothing here may use them.
+ */
+
+const SYNC_LOCK_NAME = 'pplai_offline_sync'; // Web Lock held by whoever replays the queue
+const QUEUE_CHANNEL_NAME = 'pplai_offline_queue';
+const QUEUE_DB_NAME = 'pplai_offline_queue';
+const QUEUE_DB_VERSION = 3;
+const QUEUE_STORE = 'queue';
+const ID_MAP_STORE = 'idMap'; // Temporary offline id -> server id for records created while offline
+const META_STORE = 'meta'; // Per-account auth tokens and the API URL the service worker replays with
+const BACKGROUND_SYNC_TAG = 'offline-queue-sync';
+const PERIODIC_SYNC_TAG = 'offline-queue-periodic';
+const TEMP_ID_PREFIX = 'offline_';
+
+// Fields compared when an offline update is replayed over a record that may have changed
+const EVENT_CONFLICT_FIELDS = ['name', 'location', 'start_date', 'end_date', 'description'];
+const TAG_CONFLICT_FIELDS = ['name', 'is_hidden'];
+
+// Retry schedule for transient failures: 5s, 10s, 20s ... capped at 30 minutes, plus jitter
+const QUEUE_BACKOFF_BASE_MS = 5000;
+const QUEUE_BACKOFF_MAX_MS = 30 * 60 * 1000;
+const MAX_TRANSIENT_RETRIES = 10; // After this many, the item is parked in the dead-letter list
+
+// Create or upgrade the queue database's stores
+function upgradeQueueDB(db) {
+    if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+        const store = db.createObjectStore(QUEUE_STORE, { keyPath: 'id' });
+        store.createIndex('timestamp', 'timestamp');
+        store.createIndex('type', 'type');
+    }
+    if (!db.objectStoreNames.contains(ID_MAP_STORE)) {
+        db.createObjectStore(ID_MAP_STORE, { keyPath: 'tempId' });
+    }
+    if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE, { keyPath: 'key' });
+    }
+}
+
+// Check if an id refers to a record created offline that has no server id yet
+function isTemporaryId(id) {
+    return typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX);
+}
+
+// Temporary ids a queue item points at (contact, event or tag it operates on or links to)
+function getReferencedIds(item) {
+    const refs = [item.contactId, item.eventId, item.tagId];
+    if (item.contactData) refs.push(item.contactData.event_id);
+    return refs.filter(isTemporaryId);
+}
+
+// Replace temporary ids in a queue item with server ids; lookupId(tempId) resolves to the
+// server id, or the temporary id while the record hasn't synced
+async function resolveItemIds(item, lookupId) {
+    const resolved = { ...item };
+    if (isTemporaryId(item.contactId)) resolved.contactId = await lookupId(item.contactId);
+    if (isTemporaryId(item.eventId)) resolved.eventId = await lookupId(item.eventId);
+    if (isTemporaryId(item.tagId)) resolved.tagId = await lookupId(item.tagId);
+    if (item.contactData && isTemporaryId(item.contactData.event_id)) {
+        resolved.contactData = {
+            ...item.contactData,
+            event_id: await lookupId(item.contactData.event_id)
+        };
+    }
+    return resolved;
+}
+
+// The record a queue item operates on, e.g. 'event:42' - null for creates, whose
+// record doesn't exist yet (items on it wait through dependsOn instead)
+function getRecordKey(item) {
+    const id = item.type === 'contact' ? item.contactId : item.type === 'event' ? item.eventId : item.type === 'tag' ? item.tagId : null;
+    return id ? `${item.type}:${id}` : null;
+}
+
+// A queue item pointed at the server id of a record that was just created,
+// or null when the item doesn't reference or depend on it
+function remapQueueItem(item, tempId, serverId) {
+    const dependsOn = item.dependsOn || [];
+    const references = getReferencedIds(item).includes(tempId);
+    if (!references && !dependsOn.includes(tempId)) return null;
+    
+    const updated = { ...item, dependsOn: dependsOn.filter(id => id !== tempId) };
+    if (updated.contactId === tempId) updated.contactId = serverId;
+    if (updated.eventId === tempId) updated.eventId = serverId;
+    if (updated.tagId === tempId) updated.tagId = serverId;
+    if (updated.contactData && updated.contactData.event_id === tempId) {
+        updated.contactData = { ...updated.contactData, event_id: serverId };
+    }
+    return updated;
+}
+
+// 4xx responses will fail the same way every time; timeouts, rate limits, 5xx and network errors may not
+function isPermanentQueueError(error) {
+    const status = error && error.status;
+    return typeof status === 'number' && status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+// Exponential backoff with jitter so a batch of failures doesn't retry in lockstep
+function getBackoffDelay(retries) {
+    const ceiling = Math.min(QUEUE_BACKOFF_MAX_MS, QUEUE_BACKOFF_BASE_MS * Math.pow(2, Math.max(retries - 1, 0)));
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+// Compare values the way the API and the forms disagree on them (dates vs datetimes, null vs '')
+function normalizeFieldValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return value.slice(0, 10);
+    return String(value);
+}
+
+// Has the server copy moved on since the user's offline edit was based on it?
+function hasServerChanged(base, server, fields) {
+    if (base.version !== null && server.version !== undefined && server.version !== null) {
+        return String(base.version) !== String(server.version);
+    }
+    if (base.updated_at && server.updated_at) {
+        return base.updated_at !== server.updated_at;
+    }
+    return fields.some(field => normalizeFieldValue(base.data[field]) !== normalizeFieldValue(server[field]));
+}
+
+// Work out how an offline update relates to the current server record.
+// Returns { payload } when it can be applied (auto-merged if the server changed other fields)
+// or { conflict } when the same field was changed on both sides.
+function checkForConflict(base, server, localData, fields) {
+    const editedFields = fields.filter(field => field in localData);
+    if (!base || !hasServerChanged(base, server, fields)) {
+        return { payload: localData };
+    }
+    
+    const conflictingFields = editedFields.filter(field => {
+        const baseValue = normalizeFieldValue(base.data[field]);
+        const serverValue = normalizeFieldValue(server[field]);
+        const localValue = normalizeFieldValue(localData[field]);
+        return serverValue !== baseValue && localValue !== baseValue && localValue !== serverValue;
+    });
+    
+    if (conflictingFields.length > 0) {
+        const serverData = {};
+        fields.forEach(field => {
+            serverData[field] = server[field];
+        });
+        return {
+            conflict: {
+                fields: conflictingFields,
+                editedFields,
+                server: serverData,
+                serverVersion: { version: server.version !== undefined ? server.version : null, updated_at: server.updated_at || null },
+                detectedAt: new Date().toISOString()
+            }
+        };
+    }
+    
+    // Server changed other fields - keep theirs and apply only what the user edited
+    const payload = { ...localData };
+    fields.forEach(field => {
+        if (normalizeFieldValue(localData[field]) === normalizeFieldValue(base.data[field]) && field in localData) {
+            payload[field] = server[field];
+        }
+    });
+    return { payload };
+}
+
+// Error thrown when replaying an update would overwrite someone else's change
+function createConflictError(conflict) {
+    const error = new Error('Conflict with newer server changes');
+    error.conflict = conflict;
+    return error;
+}
+
+// An attempt failed: count it and schedule the next one. Never drop an item - permanent
+// errors and exhausted retries go to the dead-letter list for the user to review.
+function recordFailedAttempt(item, error) {
+    const updated = {
+        ...item,
+        retries: (item.retries || 0) + 1,
+        lastError: error.message,
+        lastErrorStatus: error.status || null,
+        lastAttemptAt: new Date().toISOString()
+    };
+    if (isPermanentQueueError(error) || updated.retries >= MAX_TRANSIENT_RETRIES) {
+        updated.status = 'dead';
+        updated.nextAttemptAt = null;
+        updated.deadLetteredAt = new Date().toISOString();
+    } else {
+        updated.nextAttemptAt = Date.now() + getBackoffDelay(updated.retries);
+    }
+    return updated;
+}
+
+// Replay queue items (oldest first) through the caller's handlers:
+//   resolveIds(item)     - the item with server ids in place of synced temporary ids
+//   canSync(item)        - optional; false leaves the item for later (e.g. no token for its account)
+//   sync(item)           - send it; creates resolve with the new record
+//   synced(item, record) - it went through: remove it and map its temporary id
+//   save(item)           - store an item's conflict, retry or dead-letter state
+// Options: ignoreBackoff, onlyIds (a Set - everything else waits its turn).
+// Resolves with counts for reporting; `retrying` items failed and will be tried again.
+async function replayQueueItems(queue, handlers, options = {}) {
+    const result = { synced: 0, skipped: 0, conflicts: 0, dead: 0, deadLettered: 0, retrying: 0, unauthorized: false };
+    // Items not synced yet - anything depending on them has to wait
+    const unsyncedIds = new Set(queue.map(item => item.id));
+    // Records (contact, event or tag) with an operation that didn't go through - later
+    // operations on them must not overtake it
+    const blockedRecords = new Set();
+    // Accounts whose token was rejected - their items wait until the session is renewed
+    const unauthorizedAccounts = new Set();
+    const block = (item) => {
+        const key = getRecordKey(item);
+        if (key) blockedRecords.add(key);
+    };
+    const now = Date.now();
+    
+    for (const queuedItem of queue) {
+        // Swap in server ids for records that were created offline
+        const item = await handlers.resolveIds(queuedItem);
+        
+        // Conflicts wait for the user to pick a version in the merge screen
+        if (item.status === 'conflict') {
+            result.conflicts++;
+            block(item);
+            continue;
+        }
+        if ((item.dependsOn || []).some(id => unsyncedIds.has(id))) {
+            result.skipped++;
+            block(item);
+            continue;
+        }
+        
+        // Dead-lettered items wait for the user, others for their backoff or their account
+        if (item.status === 'dead') {
+            result.dead++;
+            block(item);
+            continue;
+        }
+        const waiting = (!options.ignoreBackoff && item.nextAttemptAt && item.nextAttemptAt > now) ||
+            (options.onlyIds && !options.onlyIds.has(item.id)) ||
+            unauthorizedAccounts.has(String(item.accountId)) ||
+            (handlers.canSync && !handlers.canSync(item));
+        if (waiting) {
+            result.skipped++;
+            block(item);
+            continue;
+        }
+        if (blockedRecords.has(getRecordKey(item))) {
+            result.skipped++;
+            continue;
+        }
+        
+        try {
+            const record = await handlers.sync(item);
+            await handlers.synced(item, record);
+            unsyncedIds.delete(item.id);
+            result.synced++;
+        } catch (error) {
+            block(item);
+            if (error.conflict) {
+                console.warn(`Conflict syncing ${item.type}, waiting for user to resolve:`, item.id, error.conflict.fields);
+                await handlers.save({ ...item, status: 'conflict', conflict: error.conflict });
+                result.conflicts++;
+            } else if (error.status === 401) {
+                // The session is gone, not the item - leave the account's items as they are
+                console.warn('Offline queue: token rejected, leaving the account\'s items for later');
+                unauthorizedAccounts.add(String(item.accountId));
+                result.unauthorized = true;
+                result.skipped++;
+            } else {
+                console.error(`Failed to sync ${item.type}:`, item.id, error);
+                const failed = recordFailedAttempt(item, error);
+                if (failed.status === 'dead') {
+                    console.warn(`Moving ${item.type} to the dead-letter list:`, item.id, error.message);
+                    result.deadLettered++;
+                } else {
+                    result.retrying++;
+                }
+                await handlers.save(failed);
+            }
+        }
+    }
+    return result;
+}
@@ -1,30 +1,185 @@
 /**
  * Offline Queue Manager
  * Handles storing and syncing contacts, events, and tags when offline
+ *
+ * Queue items live in IndexedDB (one record per item) so photos and media can be
+ * stored as native Blobs instead of base64 strings in localStorage.
  */
 
-const OFFLINE_QUEUE_KEY = 'offline_queue';
-const SYNC_IN_PROGRESS_KEY = 'sync_in_progress';
+const OFFLINE_QUEUE_KEY = 'offline_queue'; // Legacy localStorage queue (migrated on init)
+const LEGACY_SYNC_FLAG_KEY = 'sync_in_progress'; // Old localStorage flag, cleared on init
+const SYNC_LEASE_KEY = 'offline_sync_lease'; // localStorage lease where Web Locks aren't available
+const SYNC_LEASE_DURATION = 15000; // A lease nobody renews for this long is considered abandoned
+const SYNC_LEASE_HEARTBEAT = 5000;
+const PERIODIC_SYNC_INTERVAL = 15 * 60 * 1000;
+const ID_MAP_RETENTION = 7 * 24 * 60 * 60 * 1000; // Keep id mappings for a week
+// Database names, replay rules and the replay loop itself are in offline-queue-replay.js
 
-// Convert File/Blob to base64 for offline storage
-function fileToBase64(file) {
+let queueDbPromise = null;
+let scheduledSyncTimer = null;
+let syncInProgress = false; // This tab is replaying the queue
+let syncLockHeld = false; // This tab holds (or is taking) the sync lease - see withSyncLock
+let queueChannel = null;
+let queueChangeBroadcastTimer = null;
+const pendingPhotoUrls = new Map(); // Queue item id -> { signature, url } of a pending contact's photo
+const syncTabId = `tab_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+
+// Open (and upgrade) the offline queue database
+function openQueueDB() {
+    if (queueDbPromise) return queueDbPromise;
+    
+    queueDbPromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+            reject(new Error('IndexedDB is not supported in this browser'));
+            return;
+        }
+        
+        const request = indexedDB.open(QUEUE_DB_NAME, QUEUE_DB_VERSION);
+        request.onupgradeneeded = () => upgradeQueueDB(request.result);
+        request.onsuccess = () => {
+            const db = request.result;
+            // Another tab upgraded the schema - drop our handle so it can proceed
+            db.onversionchange = () => {
+                db.close();
+                queueDbPromise = null;
+            };
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => console.warn('Offline queue database upgrade blocked by another tab');
+    });
+    
+    // Allow a later call to retry if opening failed
+    queueDbPromise.catch(() => {
+        queueDbPromise = null;
+    });
+    
+    return queueDbPromise;
+}
+
+// Run a single request against a queue database store and resolve with its result
+async function queueStoreRequest(mode, callback, storeName = QUEUE_STORE) {
+    const db = await openQueueDB();
     return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => {
-            const base64 = reader.result.split(',')[1]; // Remove data:image/...;base64, prefix
-            resolve({
-                data: base64,
-                name: file.name,
-                type: file.type,
-                size: file.size
-            });
+        const tx = db.transaction(storeName, mode);
+        const request = callback(tx.objectStore(storeName));
+        tx.oncomplete = () => {
+            if (mode === 'readwrite' && storeName === QUEUE_STORE) broadcastQueueChange();
+            resolve(request ? request.result : undefined);
         };
-        reader.onerror = reject;
-        reader.readAsDataURL(file);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Offline queue transaction aborted'));
     });
 }
 
-// Convert base64 back to File
+// Channel other tabs listen on for queue changes and sync status (null where unsupported)
+function getQueueChannel() {
+    if (!queueChannel && 'BroadcastChannel' in window) {
+        queueChannel = new BroadcastChannel(QUEUE_CHANNEL_NAME);
+        queueChannel.onmessage = handleQueueChannelMessage;
+    }
+    return queueChannel;
+}
+
+function postQueueMessage(message) {
+    const channel = getQueueChannel();
+    if (channel) channel.postMessage({ ...message, tabId: syncTabId });
+}
+
+// Tell other tabs the queue changed - coalesced so a sync doesn't send a message per item
+function broadcastQueueChange() {
+    if (queueChangeBroadcastTimer) return;
+    queueChangeBroadcastTimer = setTimeout(() => {
+        queueChangeBroadcastTimer = null;
+        postQueueMessage({ type: 'queue-changed' });
+    }, 200);
+}
+
+// Another tab queued something, synced, or changed its sync status
+function handleQueueChannelMessage(event) {
+    const message = event.data || {};
+    if (message.tabId === syncTabId) return;
+    
+    if (message.type === 'id-remapped') {
+        // Another tab synced a record this page may still hold by its temporary id
+        window.dispatchEvent(new CustomEvent('offlineQueue:idRemapped', {
+            detail: { tempId: message.tempId, serverId: message.serverId }
+        }));
+    } else if (message.type === 'queue-changed' || message.type === 'sync-started') {
+        updateSyncIndicator();
+    } else if (message.type === 'sync-finished') {
+        updateSyncIndicator();
+        if (message.synced > 0) {
+            reloadSyncedData(message.types || []);
+        }
+    }
+}
+
+// Give the service worker what it needs to replay the queue and to snooze or complete a
+// follow-up from a notification while the app is closed: one 'auth:<userId>' record per
+// signed-in account.
+// Called on init and whenever an account's token changes.
+async function storeSyncCredentials() {
+    try {
+        const apiBaseUrl = normalizeApiUrl('/').slice(0, -1);
+        const accounts = listAccounts().filter(account => account.token);
+        const keep = new Set(accounts.map(account => `auth:${account.user.id}`));
+        const storedKeys = await queueStoreRequest('readonly', store => store.getAllKeys(), META_STORE);
+        await queueStoreRequest('readwrite', store => {
+            (storedKeys || [])
+                .filter(key => (key === 'auth' || String(key).startsWith('auth:')) && !keep.has(key))
+                .forEach(key => store.delete(key));
+            accounts.forEach(account => store.put({
+                key: `auth:${account.user.id}`,
+                token: account.token,
+                apiBaseUrl,
+                userId: account.user.id,
+                updatedAt: Date.now()
+            }));
+        }, META_STORE);
+    } catch (error) {
+        console.error('Error storing offline sync credentials:', error);
+    }
+}
+
+// Ask the browser to fire a 'sync' event in the service worker once there's connectivity;
+// the worker then replays the queue, even if the app has been closed (see sw.js)
+async function requestBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return;
+    try {
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (registration && registration.sync) {
+            await registration.sync.register(BACKGROUND_SYNC_TAG);
+        }
+    } catch (error) {
+        console.warn('Background sync not available:', error);
+    }
+}
+
+// Periodic sync where the browser allows it, to retry items whose backoff ran out
+async function registerBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return;
+    try {
+        // script.js registers the worker; periodic sync needs it active
+        const registration = await navigator.serviceWorker.ready;
+        if ('periodicSync' in registration && navigator.permissions) {
+            const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+            if (status.state === 'granted') {
+                await registration.periodicSync.register(PERIODIC_SYNC_TAG, { minInterval: PERIODIC_SYNC_INTERVAL });
+            }
+        }
+    } catch (error) {
+        console.warn('Could not set up background sync for the offline queue:', error);
+    }
+}
+
+// Generate a unique id for a queue item.
+// A queued create also uses this id as the temporary id of the record it creates.
+function generateQueueItemId() {
+    return `${TEMP_ID_PREFIX}${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Convert base64 back to File (used when migrating the legacy localStorage queue)
 function base64ToFile(base64Data, fileName, mimeType) {
     const byteCharacters = atob(base64Data);
     const byteNumbers = new Array(byteCharacters.length);
@@ -35,266 +190,860 @@ function base64ToFile(base64Data, fileName, mimeType) {
     return new File([byteArray], fileName, { type: mimeType });
 }
 
-// Get offline queue
-function getOfflineQueue() {
+// Queue items belong to the account that made them; each account only sees its own
+function getQueueAccountId() {
+    const user = getCurrentUser();
+    return user ? String(user.id) : null;
+}
+
+// Get the active account's offline queue (oldest first).
+// Errors propagate: a queue that can't be read must not pass for an empty one.
+async function getOfflineQueue() {
+    const accountId = getQueueAccountId();
+    const items = await queueStoreRequest('readonly', store => store.getAll());
+    return (items || [])
+        .filter(item => item.accountId === accountId)
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// Get a single queue item
+async function getQueueItem(itemId) {
+    return queueStoreRequest('readonly', store => store.get(itemId));
+}
+
+// Insert or replace a queue item. Errors propagate so callers never lose data silently.
+async function saveQueueItem(item) {
+    const owned = item.accountId ? item : { ...item, accountId: getQueueAccountId() };
+    await queueStoreRequest('readwrite', store => store.put(owned));
+    updateSyncIndicator();
+    requestBackgroundSync();
+    return owned;
+}
+
+// Remove every item of the active account from the offline queue
+async function clearOfflineQueue() {
+    const queue = await getOfflineQueue();
+    await queueStoreRequest('readwrite', store => {
+        queue.forEach(item => store.delete(item.id));
+    });
+    queue.forEach(item => releasePendingPhotoUrl(item.id));
+    updateSyncIndicator();
+}
+
+// Remove every item of an account that is being removed from this device
+async function clearAccountQueue(accountId) {
+    const items = await queueStoreRequest('readonly', store => store.getAll());
+    const owned = (items || []).filter(item => item.accountId === String(accountId));
+    await queueStoreRequest('readwrite', store => {
+        owned.forEach(item => store.delete(item.id));
+    });
+    owned.forEach(item => releasePendingPhotoUrl(item.id));
+    updateSyncIndicator();
+}
+
+// Items queued before accounts were tracked belong to the account that was signed in then
+async function claimUnownedQueueItems() {
+    const accountId = getQueueAccountId();
+    if (!accountId) return;
+    const items = await queueStoreRequest('readonly', store => store.getAll());
+    const unowned = (items || []).filter(item => !item.accountId);
+    if (unowned.length) {
+        await queueStoreRequest('readwrite', store => {
+            unowned.forEach(item => store.put({ ...item, accountId }));
+        });
+    }
+}
+
+// Move items from the legacy localStorage queue into IndexedDB
+async function migrateLegacyQueue() {
+    let legacyQueue;
     try {
         const queueStr = localStorage.getItem(OFFLINE_QUEUE_KEY);
-        return queueStr ? JSON.parse(queueStr) : [];
+        if (!queueStr) return 0;
+        legacyQueue = JSON.parse(queueStr);
     } catch (error) {
+        console.error('Error reading legacy offline queue:', error);
+        return 0;
+    }
+    
+    if (!Array.isArray(legacyQueue) || legacyQueue.length === 0) {
+        localStorage.removeItem(OFFLINE_QUEUE_KEY);
+        return 0;
+    }
+    
+    for (const item of legacyQueue) {
+        const migrated = { ...item, accountId: getQueueAccountId() };
+        if (item.photo && item.photo.data) {
+            migrated.photo = base64ToFile(item.photo.data, item.photo.name, item.photo.type);
+        }
+        if (item.media && item.media.length > 0) {
+            migrated.media = item.media.map(media => base64ToFile(media.data, media.name, media.type));
+        }
+        await queueStoreRequest('readwrite', store => store.put(migrated));
+    }
+    
+    // Only drop the legacy copy once every item has been written
+    localStorage.removeItem(OFFLINE_QUEUE_KEY);
+    console.log(`Migrated ${legacyQueue.length} item(s) from localStorage to IndexedDB offline queue`);
+    return legacyQueue.length;
+}
+
+// Remember the server id assigned to a record that was created offline
+async function recordIdMapping(tempId, serverId, type) {
+    await queueStoreRequest('readwrite', store => store.put({
+        tempId,
+        serverId,
+        type,
+        timestamp: Date.now()
+    }), ID_MAP_STORE);
+}
+
+// Look up the server id for a temporary id (returns the id unchanged if unknown)
+async function resolveTemporaryId(id) {
+    if (!isTemporaryId(id)) return id;
+    try {
+        const mapping = await queueStoreRequest('readonly', store => store.get(id), ID_MAP_STORE);
+        return mapping ? mapping.serverId : id;
+    } catch (error) {
+        console.error('Error reading offline id map:', error);
+        return id;
+    }
+}
+
+// Drop id mappings nobody is likely to reference any more
+async function pruneIdMap() {
+    const cutoff = Date.now() - ID_MAP_RETENTION;
+    const mappings = await queueStoreRequest('readonly', store => store.getAll(), ID_MAP_STORE);
+    for (const mapping of mappings || []) {
+        if (mapping.timestamp < cutoff) {
+            await queueStoreRequest('readwrite', store => store.delete(mapping.tempId), ID_MAP_STORE);
+        }
+    }
+}
+
+// Work out which pending queue items must sync before this one can
+function collectDependencies(item, queue) {
+    const pendingIds = new Set(queue.map(queued => queued.id));
+    const dependsOn = new Set(getReferencedIds(item).filter(id => pendingIds.has(id)));
+    
+    // Contacts are tagged by name, so wait for any queued creation of those tags
+    const tagNames = (item.contactData && item.contactData.tags) || [];
+    if (tagNames.length > 0) {
+        const wanted = tagNames.map(name => String(name).toLowerCase());
+        queue.filter(queued => queued.type === 'tag' && queued.operation === 'create' && queued.tagData && queued.tagData.name)
+            .filter(queued => wanted.includes(queued.tagData.name.toLowerCase()))
+            .forEach(queued => dependsOn.add(queued.id));
+    }
+    
+    return Array.from(dependsOn);
+}
+
+// Replace temporary ids in a queue item with server ids that are known by now
+function resolveTemporaryIds(item) {
+    return resolveItemIds(item, resolveTemporaryId);
+}
+
+// Point queued items at the server id of a record that was just created
+async function rewriteQueueReferences(tempId, serverId) {
+    const queue = await getOfflineQueue();
+    for (const item of queue) {
+        const updated = remapQueueItem(item, tempId, serverId);
+        if (updated) await queueStoreRequest('readwrite', store => store.put(updated));
+    }
+    
+    // Let the app swap the temporary id wherever it still holds it (e.g. the selected event),
+    // in this tab and the others
+    window.dispatchEvent(new CustomEvent('offlineQueue:idRemapped', {
+        detail: { tempId, serverId }
+    }));
+    postQueueMessage({ type: 'id-remapped', tempId, serverId });
+}
+
+// Forget a record that was created offline and never synced, along with every
+// queued operation on it. Items that merely link to it (a contact's event) are unlinked.
+async function discardPendingRecord(tempId) {
+    const queue = await getOfflineQueue();
+    for (const item of queue) {
+        if (item.id === tempId || item.contactId === tempId || item.eventId === tempId || item.tagId === tempId) {
+            await queueStoreRequest('readwrite', store => store.delete(item.id));
+            releasePendingPhotoUrl(item.id);
+        } else if ((item.dependsOn || []).includes(tempId)) {
+            const updated = { ...item, dependsOn: item.dependsOn.filter(id => id !== tempId) };
+            if (updated.contactData && updated.contactData.event_id === tempId) {
+                updated.contactData = { ...updated.contactData, event_id: null };
+            }
+            await queueStoreRequest('readwrite', store => store.put(updated));
+        }
+    }
+    updateSyncIndicator();
+    console.log('Discarded record that was only in the offline queue:', tempId);
+}
+
+// Events created offline, shaped like API events so they can be listed and selected
+// (none when the queue can't be read - lists still show the server's, and the sync badge the error)
+async function getPendingEvents() {
+    const queue = await getOfflineQueue().catch(error => {
+        console.error('Error reading offline queue:', error);
+        return [];
+    });
+    return queue
+        .filter(item => item.type === 'event' && !item.isUpdate)
+        .map(item => ({ ...item.eventData, id: item.id, is_offline: true }));
+}
+
+// Contacts created offline, shaped like API contacts so they can be listed and opened
+async function getPendingContacts() {
+    const queue = await getOfflineQueue().catch(error => {
         console.error('Error reading offline queue:', error);
         return [];
+    });
+    const creates = queue.filter(item => item.type === 'contact' && (item.operation || 'create') === 'create');
+    // Items another tab or the service worker synced or discarded
+    const pendingIds = new Set(creates.map(item => item.id));
+    [...pendingPhotoUrls.keys()].filter(id => !pendingIds.has(id)).forEach(releasePendingPhotoUrl);
+    return creates
+        .map(item => ({
+            ...item.contactData,
+            id: item.id,
+            is_offline: true,
+            // The form stores these as JSON strings for the multipart upload
+            phone_numbers: parseQueuedJson(item.contactData.phone_numbers),
+            email_addresses: parseQueuedJson(item.contactData.email_addresses),
+            contact_photo_url: getPendingPhotoUrl(item),
+            media: []
+        }));
+}
+
+// One Blob URL per pending contact photo, reused across list renders. A new one is made
+// when the photo is replaced; the old one is revoked.
+function getPendingPhotoUrl(item) {
+    if (!item.photo) {
+        releasePendingPhotoUrl(item.id);
+        return null;
     }
+    const signature = `${item.photo.size}:${item.photo.type}:${item.photo.lastModified || ''}`;
+    const cached = pendingPhotoUrls.get(item.id);
+    if (cached && cached.signature === signature) return cached.url;
+    
+    releasePendingPhotoUrl(item.id);
+    const url = URL.createObjectURL(item.photo);
+    pendingPhotoUrls.set(item.id, { signature, url });
+    return url;
 }
 
-// Save offline queue
-function saveOfflineQueue(queue) {
+// The item synced or was discarded - its photo URL is no longer needed
+function releasePendingPhotoUrl(itemId) {
+    const cached = pendingPhotoUrls.get(itemId);
+    if (cached) {
+        URL.revokeObjectURL(cached.url);
+        pendingPhotoUrls.delete(itemId);
+    }
+}
+
+function parseQueuedJson(value) {
+    if (typeof value !== 'string') return value || [];
     try {
-        localStorage.setItem(OFFLINE_QUEUE_KEY, JSON.stringify(queue));
-        updateSyncIndicator();
+        return JSON.parse(value);
     } catch (error) {
-        console.error('Error saving offline queue:', error);
+        return [];
     }
 }
 
+// Approximate bytes used by queued items (Blobs are counted by size, the rest as JSON)
+function getQueueItemSize(item) {
+    let size = 0;
+    const fields = {};
+    Object.keys(item).forEach(key => {
+        const value = item[key];
+        if (value instanceof Blob) {
+            size += value.size;
+        } else if (Array.isArray(value) && value.some(v => v instanceof Blob)) {
+            value.forEach(v => {
+                if (v instanceof Blob) size += v.size;
+            });
+        } else {
+            fields[key] = value;
+        }
+    });
+    return size + JSON.stringify(fields).length;
+}
+
+// Estimate storage used by the queue and by the origin as a whole
+async function estimateQueueStorage(queue = null) {
+    const items = queue || await getOfflineQueue();
+    const estimate = {
+        queueBytes: items.reduce((total, item) => total + getQueueItemSize(item), 0),
+        usage: null,
+        quota: null
+    };
+    
+    if (navigator.storage && navigator.storage.estimate) {
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            estimate.usage = usage;
+            estimate.quota = quota;
+        } catch (error) {
+            console.warn('Could not estimate storage usage:', error);
+        }
+    }
+    
+    return estimate;
+}
+
+// Human readable byte size
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / Math.pow(1024, exponent);
+    return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
 // Add contact to offline queue
 async function addContactToQueue(contactData, photoFile, mediaFiles) {
-    const queue = getOfflineQueue();
+    // Files are stored natively - IndexedDB can hold Blobs directly
+    const queueItem = {
+        id: generateQueueItemId(),
+        type: 'contact',
+        operation: 'create',
+        contactData: contactData,
+        photo: photoFile || null,
+        media: mediaFiles ? Array.from(mediaFiles) : [],
+        timestamp: new Date().toISOString(),
+        retries: 0
+    };
+    queueItem.dependsOn = collectDependencies(queueItem, await getOfflineQueue());
+    
+    await saveQueueItem(queueItem);
+    
+    console.log('Contact saved to offline queue:', queueItem.id);
+    return queueItem;
+}
+
+// Add an operation on an existing contact to the offline queue
+// operation: 'update', 'delete', 'favorite', 'message', 'media'
+// data: { contactData, photo, media } for updates, { message } for chat notes,
+//       { file, mediaKind: 'photo' | 'voice' } for media attachments
+async function addContactOperationToQueue(operation, contactId, data = {}) {
+    const queue = await getOfflineQueue();
+    const pendingForContact = queue.filter(item => item.type === 'contact' && item.contactId === contactId);
+    const pendingCreate = queue.find(item => item.id === contactId && item.type === 'contact');
+    
+    if (pendingCreate && operation === 'delete') {
+        // Never reached the server - just forget the contact and everything queued for it
+        await discardPendingRecord(contactId);
+        return null;
+    }
     
-    // Convert files to base64 for storage
-    let photoBase64 = null;
-    if (photoFile) {
-        photoBase64 = await fileToBase64(photoFile);
+    if (pendingCreate && operation === 'update') {
+        // Fold the edit into the pending create
+        const merged = {
+            ...pendingCreate,
+            contactData: { ...pendingCreate.contactData, ...(data.contactData || {}) },
+            photo: data.photo || pendingCreate.photo,
+            media: [...(pendingCreate.media || []), ...(data.media ? Array.from(data.media) : [])]
+        };
+        merged.dependsOn = collectDependencies(merged, queue.filter(item => item.id !== merged.id));
+        await saveQueueItem(merged);
+        console.log('Contact update merged into pending offline create:', contactId);
+        return merged;
     }
     
-    const mediaBase64 = [];
-    if (mediaFiles && mediaFiles.length > 0) {
-        for (const file of mediaFiles) {
-            const base64 = await fileToBase64(file);
-            mediaBase64.push(base64);
+    if (operation === 'favorite') {
+        // Two favorite toggles cancel each other out
+        const pendingToggle = pendingForContact.find(item => item.operation === 'favorite');
+        if (pendingToggle) {
+            await removeFromOfflineQueue(pendingToggle.id);
+            console.log('Favorite toggle cancelled out pending toggle in offline queue:', pendingToggle.id);
+            return null;
+        }
+    } else if (operation === 'delete') {
+        // Earlier edits would be thrown away by the delete anyway
+        for (const item of pendingForContact) {
+            await removeFromOfflineQueue(item.id);
         }
     }
     
     const queueItem = {
-        id: `offline_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        id: generateQueueItemId(),
         type: 'contact',
-        contactData: contactData,
-        photo: photoBase64,
-        media: mediaBase64,
+        operation: operation,
+        contactId: contactId,
+        contactData: data.contactData || null,
+        photo: data.photo || null,
+        media: data.media ? Array.from(data.media) : [],
+        message: data.message || null,
+        file: data.file || null,
+        mediaKind: data.mediaKind || null,
         timestamp: new Date().toISOString(),
         retries: 0
     };
+    queueItem.dependsOn = collectDependencies(queueItem, queue);
     
-    queue.push(queueItem);
-    saveOfflineQueue(queue);
+    await saveQueueItem(queueItem);
     
-    console.log('Contact saved to offline queue:', queueItem.id);
+    console.log(`Contact ${operation} saved to offline queue:`, queueItem.id);
     return queueItem;
 }
 
+// Snapshot of a record as it was when the user started editing it offline
+function snapshotBaseRecord(record, fields) {
+    if (!record) return null;
+    const data = {};
+    fields.forEach(field => {
+        data[field] = record[field];
+    });
+    return {
+        version: record.version !== undefined ? record.version : null,
+        updated_at: record.updated_at || null,
+        data
+    };
+}
+
+// Base for another offline edit of a record that already has updates queued: the latest
+// queued update applied on top of its own base. The cached server copy doesn't include those
+// edits yet, so once the first one synced the next would report a conflict with it.
+function snapshotQueuedBase(pendingUpdates, dataKey, baseRecord, fields) {
+    const latest = pendingUpdates[pendingUpdates.length - 1];
+    const base = latest && latest.base ? latest.base : snapshotBaseRecord(baseRecord, fields);
+    if (!latest || !base) return base;
+    const data = { ...base.data };
+    fields.forEach(field => {
+        if (field in (latest[dataKey] || {})) data[field] = latest[dataKey][field];
+    });
+    return { ...base, data };
+}
+
 // Add event to offline queue
-function addEventToQueue(eventData, isUpdate = false, eventId = null) {
-    const queue = getOfflineQueue();
+// baseRecord is the event as loaded before editing, used to detect conflicting server changes
+async function addEventToQueue(eventData, isUpdate = false, eventId = null, baseRecord = null) {
+    const queue = await getOfflineQueue();
+    
+    // Editing an event that only exists in the queue - fold the changes into its create
+    const pendingCreate = isUpdate && isTemporaryId(eventId) && queue.find(item => item.id === eventId);
+    if (pendingCreate) {
+        const merged = { ...pendingCreate, eventData: { ...pendingCreate.eventData, ...eventData } };
+        await saveQueueItem(merged);
+        console.log('Event update merged into pending offline create:', eventId);
+        return merged;
+    }
     
+    const pendingUpdates = queue.filter(item => item.type === 'event' && item.isUpdate && String(item.eventId) === String(eventId));
     const queueItem = {
-        id: `offline_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        id: generateQueueItemId(),
         type: 'event',
         eventData: eventData,
         isUpdate: isUpdate,
         eventId: eventId, // For updates
+        base: isUpdate ? snapshotQueuedBase(pendingUpdates, 'eventData', baseRecord, EVENT_CONFLICT_FIELDS) : null,
         timestamp: new Date().toISOString(),
         retries: 0
     };
+    queueItem.dependsOn = collectDependencies(queueItem, queue);
     
-    queue.push(queueItem);
-    saveOfflineQueue(queue);
+    await saveQueueItem(queueItem);
     
     console.log(`Event ${isUpdate ? 'update' : 'creation'} saved to offline queue:`, queueItem.id);
     return queueItem;
 }
 
 // Add tag to offline queue
-function addTagToQueue(tagData, operation = 'create', tagId = null) {
-    const queue = getOfflineQueue();
-    
+// baseRecord is the tag as loaded before editing, used to detect conflicting server changes
+async function addTagToQueue(tagData, operation = 'create', tagId = null, baseRecord = null) {
+    const queue = await getOfflineQueue();
+    const isUpdate = operation === 'update' || operation === 'hide';
+    const pendingUpdates = queue.filter(item => item.type === 'tag' && (item.operation === 'update' || item.operation === 'hide') && String(item.tagId) === String(tagId));
     const queueItem = {
-        id: `offline_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        id: generateQueueItemId(),
         type: 'tag',
         tagData: tagData,
         operation: operation, // 'create', 'update', 'delete', 'hide'
         tagId: tagId, // For updates/deletes
+        base: isUpdate ? snapshotQueuedBase(pendingUpdates, 'tagData', baseRecord, TAG_CONFLICT_FIELDS) : null,
         timestamp: new Date().toISOString(),
         retries: 0
     };
+    queueItem.dependsOn = collectDependencies(queueItem, queue);
     
-    queue.push(queueItem);
-    saveOfflineQueue(queue);
+    await saveQueueItem(queueItem);
     
     console.log(`Tag ${operation} saved to offline queue:`, queueItem.id);
     return queueItem;
 }
 
 // Remove item from offline queue
-function removeFromOfflineQueue(itemId) {
-    const queue = getOfflineQueue();
-    const filtered = queue.filter(item => item.id !== itemId);
-    saveOfflineQueue(filtered);
+async function removeFromOfflineQueue(itemId) {
+    try {
+        await queueStoreRequest('readwrite', store => store.delete(itemId));
+        releasePendingPhotoUrl(itemId);
+    } catch (error) {
+        console.error('Error removing item from offline queue:', itemId, error);
+    }
+    updateSyncIndicator();
 }
 
-// Sync offline queue when online
-async function syncOfflineQueue() {
-    if (!navigator.onLine) {
-        console.log('Still offline, cannot sync');
-        return;
+function readSyncLease() {
+    try {
+        return JSON.parse(localStorage.getItem(SYNC_LEASE_KEY) || 'null');
+    } catch (error) {
+        return null;
     }
+}
+
+function writeSyncLease() {
+    localStorage.setItem(SYNC_LEASE_KEY, JSON.stringify({ owner: syncTabId, expiresAt: Date.now() + SYNC_LEASE_DURATION }));
+}
+
+// Take the lease if nobody holds a live one. Re-read after a moment so two tabs
+// racing for an expired lease can't both believe they won.
+async function acquireSyncLease() {
+    const lease = readSyncLease();
+    if (lease && lease.owner !== syncTabId && lease.expiresAt > Date.now()) return false;
     
-    // Check if sync is already in progress
-    if (localStorage.getItem(SYNC_IN_PROGRESS_KEY) === 'true') {
-        console.log('Sync already in progress');
-        return;
+    writeSyncLease();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const confirmed = readSyncLease();
+    return !!confirmed && confirmed.owner === syncTabId;
+}
+
+function releaseSyncLease() {
+    const lease = readSyncLease();
+    if (lease && lease.owner === syncTabId) {
+        localStorage.removeItem(SYNC_LEASE_KEY);
+    }
+}
+
+// Run callback while holding the cross-tab sync lock. Resolves to false without
+// running it when another tab (or this one) is already syncing.
+// Web Locks are released by the browser when a tab closes; the lease fallback expires
+// unless its heartbeat keeps renewing it.
+async function withSyncLock(callback) {
+    if (navigator.locks && navigator.locks.request) {
+        return navigator.locks.request(SYNC_LOCK_NAME, { ifAvailable: true }, async lock => {
+            if (!lock) return false;
+            await callback();
+            return true;
+        });
     }
     
-    const queue = getOfflineQueue();
-    if (queue.length === 0) {
-        updateSyncIndicator();
+    // The lease can't tell two syncs of this tab apart (both own it), so claim the
+    // tab's turn before the first await
+    if (syncLockHeld) return false;
+    syncLockHeld = true;
+    let heartbeat = null;
+    try {
+        if (!(await acquireSyncLease())) return false;
+        heartbeat = setInterval(writeSyncLease, SYNC_LEASE_HEARTBEAT);
+        await callback();
+        return true;
+    } finally {
+        syncLockHeld = false;
+        if (heartbeat) {
+            clearInterval(heartbeat);
+            releaseSyncLease();
+        }
+    }
+}
+
+// Is any tab replaying the queue right now?
+async function isSyncRunning() {
+    if (syncInProgress || syncLockHeld) return true;
+    if (navigator.locks && navigator.locks.query) {
+        try {
+            const state = await navigator.locks.query();
+            return state.held.some(lock => lock.name === SYNC_LOCK_NAME);
+        } catch (error) {
+            return false;
+        }
+    }
+    const lease = readSyncLease();
+    return !!lease && lease.expiresAt > Date.now();
+}
+
+// Resolve once no tab is replaying the queue (used before switching app versions)
+async function waitForSyncIdle() {
+    if (navigator.locks && navigator.locks.request) {
+        await navigator.locks.request(SYNC_LOCK_NAME, () => {});
         return;
     }
+    while (await isSyncRunning()) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+}
+
+// Wake up for the earliest item whose backoff has run out
+async function scheduleNextSync() {
+    if (scheduledSyncTimer) {
+        clearTimeout(scheduledSyncTimer);
+        scheduledSyncTimer = null;
+    }
     
-    localStorage.setItem(SYNC_IN_PROGRESS_KEY, 'true');
-    updateSyncIndicator('Syncing...');
+    let queue;
+    try {
+        queue = await getOfflineQueue();
+    } catch (error) {
+        console.error('Error reading offline queue, not scheduling a retry:', error);
+        return;
+    }
+    const nextAttempts = queue
+        .filter(item => !item.status && item.nextAttemptAt)
+        .map(item => item.nextAttemptAt);
+    if (nextAttempts.length === 0) return;
     
-    const contacts = queue.filter(item => item.type === 'contact');
-    const events = queue.filter(item => item.type === 'event');
-    const tags = queue.filter(item => item.type === 'tag');
+    const delay = Math.max(Math.min(...nextAttempts) - Date.now(), 1000);
+    scheduledSyncTimer = setTimeout(() => {
+        scheduledSyncTimer = null;
+        syncOfflineQueue();
+    }, delay);
+}
+
+// A create the server already handled (the response to an earlier attempt was lost) is
+// answered with 409 "already created". Use the existing record as the result instead of failing.
+async function reconcileAlreadyCreated(item, error) {
+    if (error.status !== 409) throw error;
     
-    console.log(`Syncing ${contacts.length} contacts, ${events.length} events, ${tags.length} tags...`);
+    const payload = error.payload || {};
+    const existing = payload.existing || payload.record || payload;
+    const existingId = existing.id || payload.existing_id;
+    if (existingId) {
+        console.log(`${item.type} was already created on the server, reconciling:`, item.id, existingId);
+        return { ...existing, id: existingId };
+    }
     
-    const failedItems = [];
+    // No record in the reply - look it up by what makes it unique
+    if (item.type === 'contact' && item.contactData && (item.contactData.email || item.contactData.mobile)) {
+        const found = await api.findContact(item.contactData.email, item.contactData.mobile);
+        if (found && found.id) return found;
+    } else if (item.type === 'tag' && item.tagData) {
+        const tags = await api.getTagsForManagement({ skipCache: true });
+        const found = (tags || []).find(tag => tag.name === item.tagData.name);
+        if (found) return found;
+    }
+    throw error;
+}
+
+// Replay a queued contact operation against the API.
+// Creates resolve with the new record so its server id can replace the temporary one.
+// The queue item id is sent as the idempotency key, so a retried create can't duplicate the contact.
+async function syncContactItem(item) {
+    const operation = item.operation || 'create';
     
-    // Sync contacts
-    for (const item of contacts) {
+    if (operation === 'create') {
+        // Files come back out of IndexedDB as Blobs/Files, ready to upload
+        let result;
         try {
-            // Convert base64 back to files
-            let photoFile = null;
-            if (item.photo) {
-                photoFile = base64ToFile(item.photo.data, item.photo.name, item.photo.type);
-            }
-            
-            const mediaFiles = [];
-            if (item.media && item.media.length > 0) {
-                for (const media of item.media) {
-                    mediaFiles.push(base64ToFile(media.data, media.name, media.type));
-                }
-            }
-            
-            // Try to sync
-            const result = await api.createContact(item.contactData, photoFile, mediaFiles);
-            
-            console.log('Successfully synced contact:', item.id, result.id);
-            removeFromOfflineQueue(item.id);
-            
+            result = await api.createContact(item.contactData, item.photo, item.media || [], { idempotencyKey: item.id });
         } catch (error) {
-            console.error('Failed to sync contact:', item.id, error);
-            item.retries++;
-            
-            // Remove after too many retries (10 attempts)
-            if (item.retries >= 10) {
-                console.warn('Removing contact after too many retries:', item.id);
-                removeFromOfflineQueue(item.id);
-            } else {
-                failedItems.push(item);
-            }
+            result = await reconcileAlreadyCreated(item, error);
         }
+        console.log('Successfully synced contact:', item.id, result.id);
+        return result;
+    } else if (operation === 'update') {
+        await api.updateContact(item.contactId, item.contactData || {}, item.photo, item.media || []);
+        console.log('Successfully synced contact update:', item.id);
+    } else if (operation === 'delete') {
+        await api.deleteContact(item.contactId);
+        console.log('Successfully synced contact delete:', item.id);
+    } else if (operation === 'favorite') {
+        await api.toggleContactFavorite(item.contactId);
+        console.log('Successfully synced contact favorite:', item.id);
+    } else if (operation === 'message') {
+        await api.addMessageToContact(item.contactId, item.message);
+        console.log('Successfully synced contact message:', item.id);
+    } else if (operation === 'media') {
+        await api.addMediaToContact(item.contactId, item.file);
+        console.log(`Successfully synced contact ${item.mediaKind || 'media'}:`, item.id);
     }
-    
-    // Sync events
-    for (const item of events) {
+}
+
+// Replay a queued event create/update against the API
+async function syncEventItem(item) {
+    if (item.isUpdate && item.eventId) {
+        // Update existing event - unless someone changed the same fields in the meantime
+        let payload = item.eventData;
+        if (item.base) {
+            const server = await api.getEvent(item.eventId, { skipCache: true });
+            const check = checkForConflict(item.base, server, item.eventData, EVENT_CONFLICT_FIELDS);
+            if (check.conflict) throw createConflictError(check.conflict);
+            payload = check.payload;
+        }
+        await api.updateEvent(item.eventId, payload);
+        console.log('Successfully synced event update:', item.id);
+    } else {
+        // Create new event
+        let result;
         try {
-            if (item.isUpdate && item.eventId) {
-                // Update existing event
-                await api.updateEvent(item.eventId, item.eventData);
-                console.log('Successfully synced event update:', item.id);
-            } else {
-                // Create new event
-                const result = await api.createEvent(item.eventData);
-                console.log('Successfully synced event:', item.id, result.id);
-            }
-            removeFromOfflineQueue(item.id);
-            
+            result = await api.createEvent(item.eventData, { idempotencyKey: item.id });
         } catch (error) {
-            console.error('Failed to sync event:', item.id, error);
-            item.retries++;
-            
-            if (item.retries >= 10) {
-                console.warn('Removing event after too many retries:', item.id);
-                removeFromOfflineQueue(item.id);
-            } else {
-                failedItems.push(item);
-            }
+            result = await reconcileAlreadyCreated(item, error);
         }
+        console.log('Successfully synced event:', item.id, result.id);
+        return result;
     }
-    
-    // Sync tags
-    for (const item of tags) {
+}
+
+// Replay a queued tag operation against the API
+async function syncTagItem(item) {
+    if (item.operation === 'create') {
+        let result;
         try {
-            if (item.operation === 'create') {
-                const result = await api.createTag(item.tagData.name);
-                console.log('Successfully synced tag creation:', item.id, result.id);
-            } else if (item.operation === 'update' && item.tagId) {
-                await api.updateTag(item.tagId, item.tagData.name, item.tagData.is_hidden);
-                console.log('Successfully synced tag update:', item.id);
-            } else if (item.operation === 'hide' && item.tagId) {
-                await api.updateTag(item.tagId, null, item.tagData.is_hidden);
-                console.log('Successfully synced tag hide/show:', item.id);
-            } else if (item.operation === 'delete' && item.tagId) {
-                await api.deleteTag(item.tagId);
-                console.log('Successfully synced tag delete:', item.id);
-            }
-            removeFromOfflineQueue(item.id);
-            
+            result = await api.createTag(item.tagData.name, { idempotencyKey: item.id });
         } catch (error) {
-            console.error('Failed to sync tag:', item.id, error);
-            item.retries++;
-            
-            if (item.retries >= 10) {
-                console.warn('Removing tag after too many retries:', item.id);
-                removeFromOfflineQueue(item.id);
-            } else {
-                failedItems.push(item);
+            result = await reconcileAlreadyCreated(item, error);
+        }
+        console.log('Successfully synced tag creation:', item.id, result.id);
+        return result;
+    } else if ((item.operation === 'update' || item.operation === 'hide') && item.tagId) {
+        // Check the tag wasn't renamed or hidden elsewhere in the meantime
+        let tagData = item.tagData;
+        if (item.base) {
+            const tags = await api.getTagsForManagement({ skipCache: true });
+            const server = (tags || []).find(tag => String(tag.id) === String(item.tagId));
+            if (server) {
+                const check = checkForConflict(item.base, server, item.tagData, TAG_CONFLICT_FIELDS);
+                if (check.conflict) throw createConflictError(check.conflict);
+                tagData = check.payload;
             }
         }
+        if (item.operation === 'update') {
+            await api.updateTag(item.tagId, tagData.name, tagData.is_hidden);
+            console.log('Successfully synced tag update:', item.id);
+        } else {
+            await api.updateTag(item.tagId, null, tagData.is_hidden);
+            console.log('Successfully synced tag hide/show:', item.id);
+        }
+    } else if (item.operation === 'delete' && item.tagId) {
+        await api.deleteTag(item.tagId);
+        console.log('Successfully synced tag delete:', item.id);
+    }
+}
+
+// Sync offline queue when online
+// Pass { ignoreBackoff: true } when the user asks to sync now or the network just came back,
+// and { itemIds } to only attempt specific items (everything else waits its turn)
+async function syncOfflineQueue(options = {}) {
+    if (!navigator.onLine) {
+        console.log('Still offline, cannot sync');
+        return;
     }
     
-    // Update queue with retry counts
-    if (failedItems.length > 0) {
-        const currentQueue = getOfflineQueue();
-        const updatedQueue = currentQueue.map(item => {
-            const failed = failedItems.find(f => f.id === item.id);
-            return failed ? { ...item, retries: failed.retries } : item;
+    // Only one tab may replay the queue, otherwise both would create the same contacts
+    let ran;
+    try {
+        ran = await withSyncLock(async () => {
+            try {
+                await replayOfflineQueue(options);
+            } finally {
+                syncInProgress = false;
+            }
         });
-        saveOfflineQueue(updatedQueue);
+    } catch (error) {
+        // Item failures are handled per item; this is the queue itself failing (e.g. IndexedDB)
+        console.error('Offline queue sync failed:', error);
+        updateSyncIndicator();
+        return;
+    }
+    if (!ran) {
+        console.log('Sync already in progress');
     }
+}
+
+// Send one queued item to the API
+async function syncQueueItemToApi(item) {
+    if (item.type === 'contact') return syncContactItem(item);
+    if (item.type === 'event') return syncEventItem(item);
+    if (item.type === 'tag') return syncTagItem(item);
+}
+
+// Replay the queue - only called while holding the sync lock.
+// The replay rules are shared with the service worker (offline-queue-replay.js); this
+// side sends items through api.js, which can renew an expired session.
+async function replayOfflineQueue(options) {
+    const ignoreBackoff = options.ignoreBackoff === true;
+    const onlyIds = Array.isArray(options.itemIds) ? new Set(options.itemIds) : null;
     
-    localStorage.removeItem(SYNC_IN_PROGRESS_KEY);
+    const queue = await getOfflineQueue();
+    if (queue.length === 0) {
+        updateSyncIndicator();
+        return;
+    }
+    
+    syncInProgress = true;
+    postQueueMessage({ type: 'sync-started' });
+    updateSyncIndicator('Syncing...');
+    
+    const contacts = queue.filter(item => item.type === 'contact');
+    const events = queue.filter(item => item.type === 'event');
+    const tags = queue.filter(item => item.type === 'tag');
+    
+    console.log(`Syncing ${contacts.length} contacts, ${events.length} events, ${tags.length} tags...`);
+    
+    const result = await replayQueueItems(queue, {
+        resolveIds: resolveTemporaryIds,
+        sync: syncQueueItemToApi,
+        synced: async (item, record) => {
+            await removeFromOfflineQueue(item.id);
+            // A record created offline now has a real id - point later items at it
+            if (record && record.id) {
+                await recordIdMapping(item.id, record.id, item.type);
+                await rewriteQueueReferences(item.id, record.id);
+            }
+        },
+        save: async (item) => {
+            try {
+                await saveQueueItem(item);
+            } catch (error) {
+                console.error('Error saving sync state for queue item:', item.id, error);
+            }
+        }
+    }, { ignoreBackoff, onlyIds });
+    
+    const syncedTypes = [...new Set(queue.map(item => item.type))];
+    
+    syncInProgress = false;
+    postQueueMessage({ type: 'sync-finished', synced: result.synced, types: syncedTypes });
     updateSyncIndicator();
+    scheduleNextSync();
     
-    const totalFailed = failedItems.length;
-    const totalSynced = (contacts.length + events.length + tags.length) - totalFailed;
+    if (result.deadLettered > 0 && typeof showToast === 'function') {
+        showToast(`${result.deadLettered} offline change${result.deadLettered !== 1 ? 's' : ''} could not be synced. Tap the sync badge to review.`, 'error');
+    }
     
-    if (totalFailed > 0) {
-        console.warn(`${totalFailed} items failed to sync and will be retried`);
-    } else {
-        console.log(`All offline items synced successfully! (${totalSynced} items)`);
+    if (result.conflicts > 0) {
+        console.warn(`${result.conflicts} items conflict with server changes and need review`);
+        if (typeof showToast === 'function') {
+            showToast(`${result.conflicts} offline change${result.conflicts !== 1 ? 's' : ''} conflict with newer edits. Tap the sync badge to review.`, 'warning');
+        }
+    }
+    if (result.retrying > 0 || result.skipped > 0) {
+        console.warn(`${result.retrying + result.skipped} items are waiting to be retried, ${result.deadLettered} moved to the dead-letter list`);
+    } else if (result.conflicts === 0 && result.dead === 0 && result.deadLettered === 0) {
+        console.log(`All offline items synced successfully! (${result.synced} items)`);
     }
     
     // Reload data after sync
-    if (totalSynced > 0 && typeof loadEvents === 'function') {
+    if (result.synced > 0) {
+        await reloadSyncedData(syncedTypes);
+    }
+}
+
+// Refresh the lists that may show records a sync just created (here or in another tab)
+async function reloadSyncedData(types) {
+    if (types.includes('contact') && typeof loadContacts === 'function') {
+        try {
+            await loadContacts();
+        } catch (e) {
+            console.warn('Could not reload contacts after sync:', e);
+        }
+    }
+    if (typeof loadEvents === 'function') {
         try {
             await loadEvents();
         } catch (e) {
             console.warn('Could not reload events after sync:', e);
         }
     }
-    if (totalSynced > 0 && typeof loadTagsForManagement === 'function') {
+    if (typeof loadTagsForManagement === 'function') {
         try {
             await loadTagsForManagement();
         } catch (e) {
@@ -303,42 +1052,70 @@ async function syncOfflineQueue() {
     }
 }
 
+// Warn once origin storage is this full - queued photos may stop fitting
+const STORAGE_WARNING_RATIO = 0.8;
+
 // Update sync indicator in UI
-function updateSyncIndicator(status = null) {
-    const queue = getOfflineQueue();
+// The floating sync badge, created on first use
+function getSyncBadge() {
+    let syncBadge = document.getElementById('syncBadge');
+    if (syncBadge) return syncBadge;
+    syncBadge = document.createElement('div');
+    syncBadge.id = 'syncBadge';
+    syncBadge.className = 'sync-badge';
+    syncBadge.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        right: 20px;
+        background: var(--primary, #667eea);
+        color: white;
+        padding: 12px 20px;
+        border-radius: 25px;
+        box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+        z-index: 10000;
+        font-size: 14px;
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        cursor: pointer;
+    `;
+    document.body.appendChild(syncBadge);
+    return syncBadge;
+}
+
+// The queue's database can't be read (storage blocked or corrupted) - say so instead of
+// hiding the badge as if nothing were pending
+function showQueueUnavailableBadge() {
+    const syncBadge = getSyncBadge();
+    syncBadge.innerHTML = `
+        <span>❌</span>
+        <span>Offline changes can't be read</span>
+    `;
+    syncBadge.style.background = '#ef4444';
+    syncBadge.onclick = () => showQueueInspector();
+}
+
+async function updateSyncIndicator(status = null) {
+    let queue;
+    try {
+        queue = await getOfflineQueue();
+    } catch (error) {
+        console.error('Error reading offline queue:', error);
+        showQueueUnavailableBadge();
+        return;
+    }
     const pendingCount = queue.length;
-    const isSyncing = localStorage.getItem(SYNC_IN_PROGRESS_KEY) === 'true';
+    const isSyncing = await isSyncRunning();
     
     // Count by type
     const contactsCount = queue.filter(item => item.type === 'contact').length;
     const eventsCount = queue.filter(item => item.type === 'event').length;
     const tagsCount = queue.filter(item => item.type === 'tag').length;
+    const conflicts = queue.filter(item => item.status === 'conflict');
+    const deadLetters = queue.filter(item => item.status === 'dead');
     
-    // Update sync badge if it exists
-    let syncBadge = document.getElementById('syncBadge');
-    if (!syncBadge && pendingCount > 0) {
-        // Create sync badge
-        syncBadge = document.createElement('div');
-        syncBadge.id = 'syncBadge';
-        syncBadge.className = 'sync-badge';
-        syncBadge.style.cssText = `
-            position: fixed;
-            bottom: 20px;
-            right: 20px;
-            background: var(--primary, #667eea);
-            color: white;
-            padding: 12px 20px;
-            border-radius: 25px;
-            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-            z-index: 10000;
-            font-size: 14px;
-            display: flex;
-            align-items: center;
-            gap: 8px;
-            cursor: pointer;
-        `;
-        document.body.appendChild(syncBadge);
-    }
+    // The badge shows while anything is pending
+    const syncBadge = pendingCount > 0 ? getSyncBadge() : document.getElementById('syncBadge');
     
     if (syncBadge) {
         if (pendingCount === 0 && !isSyncing) {
@@ -363,10 +1140,13 @@ function updateSyncIndicator(status = null) {
             if (tagsCount > 0) typeBreakdown.push(`${tagsCount} tag${tagsCount !== 1 ? 's' : ''}`);
             
             syncBadge.innerHTML = `
-                <span>📤</span>
-                <span>${pendingCount} pending (${typeBreakdown.join(', ')})</span>
+                <span>${deadLetters.length > 0 ? '❌' : conflicts.length > 0 ? '⚠️' : '📤'}</span>
+                <span>${pendingCount} pending (${typeBreakdown.join(', ')})${conflicts.length > 0 ? ` · ${conflicts.length} conflict${conflicts.length !== 1 ? 's' : ''}` : ''}${deadLetters.length > 0 ? ` · ${deadLetters.length} failed` : ''}</span>
+                <span class="sync-badge-storage" style="opacity: 0.85; font-size: 12px;"></span>
             `;
-            syncBadge.onclick = () => syncOfflineQueue();
+            syncBadge.style.background = deadLetters.length > 0 ? '#ef4444' : conflicts.length > 0 ? '#f59e0b' : 'var(--primary, #667eea)';
+            syncBadge.onclick = () => showQueueInspector();
+            updateSyncStorageEstimate(syncBadge, queue);
         }
     }
     
@@ -384,12 +1164,553 @@ function updateSyncIndicator(status = null) {
     }
 }
 
+// Field labels for the merge screen
+const CONFLICT_FIELD_LABELS = {
+    name: 'Name',
+    location: 'Location',
+    start_date: 'Start date',
+    end_date: 'End date',
+    description: 'Description',
+    is_hidden: 'Hidden'
+};
+
+// Escape a value for use in the queue modals (text and attribute values)
+function escapeQueueText(value) {
+    const div = document.createElement('div');
+    div.textContent = value === null || value === undefined ? '' : String(value);
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+// Let the user pick, field by field, between their offline edit and the newer server copy
+async function showConflictResolver(itemId) {
+    const item = await getQueueItem(itemId);
+    if (!item || item.status !== 'conflict' || !item.conflict) {
+        updateSyncIndicator();
+        return;
+    }
+    
+    const existing = document.getElementById('conflictResolverModal');
+    if (existing) existing.remove();
+    
+    const localData = item.type === 'event' ? item.eventData : item.tagData;
+    const { conflict } = item;
+    const recordName = conflict.server.name || localData.name || (item.type === 'event' ? 'Event' : 'Tag');
+    
+    const rows = conflict.editedFields.map(field => {
+        const isConflicting = conflict.fields.includes(field);
+        const mine = localData[field];
+        const theirs = conflict.server[field];
+        return `
+            <div class="conflict-field" data-field="${field}" style="padding: 10px 0; border-bottom: 1px solid var(--border, #eee);">
+                <div style="font-weight: 600; margin-bottom: 6px;">${CONFLICT_FIELD_LABELS[field] || field}${isConflicting ? ' <span style="color: #f59e0b;">⚠️ changed on both sides</span>' : ''}</div>
+                <label style="display: block; margin-bottom: 4px;">
+                    <input type="radio" name="conflict_${field}" value="mine" checked> Mine: ${escapeQueueText(mine) || '(empty)'}
+                </label>
+                <label style="display: block; margin-bottom: 4px;">
+                    <input type="radio" name="conflict_${field}" value="server"> Server: ${escapeQueueText(theirs) || '(empty)'}
+                </label>
+                ${typeof mine === 'boolean' ? '' : `
+                <label style="display: block;">
+                    <input type="radio" name="conflict_${field}" value="custom"> Custom:
+                    <input type="text" class="conflict-custom" value="${escapeQueueText(mine)}" style="width: 100%; margin-top: 4px;">
+                </label>`}
+            </div>
+        `;
+    }).join('');
+    
+    const modal = document.createElement('div');
+    modal.id = 'conflictResolverModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 520px;">
+            <div class="modal-header">
+                <h3>Resolve conflict</h3>
+                <button class="modal-close" type="button" data-action="close">&times;</button>
+            </div>
+            <div class="modal-body">
+            <p style="margin-bottom: 12px;">"${escapeQueueText(recordName)}" was changed elsewhere while you were offline. Choose which version to keep for each field.</p>
+            <div>${rows}</div>
+            <div style="display: flex; gap: 8px; flex-wrap: wrap; margin-top: 16px;">
+                <button type="button" class="btn-secondary" data-action="server">Keep server version</button>
+                <button type="button" class="btn-secondary" data-action="mine">Keep all mine</button>
+                <button type="button" class="btn-primary" data-action="merge">Save merged</button>
+            </div>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    
+    // Typing in a custom value selects that option
+    modal.querySelectorAll('.conflict-custom').forEach(input => {
+        input.addEventListener('input', () => {
+            const radio = input.closest('label').querySelector('input[type="radio"]');
+            if (radio) radio.checked = true;
+        });
+    });
+    
+    modal.addEventListener('click', async (e) => {
+        const action = e.target.dataset && e.target.dataset.action;
+        if (e.target === modal || action === 'close') {
+            modal.remove();
+            return;
+        }
+        if (!action) return;
+        
+        const choices = {};
+        conflict.editedFields.forEach(field => {
+            const row = modal.querySelector(`.conflict-field[data-field="${field}"]`);
+            if (action === 'mine' || action === 'server') {
+                choices[field] = action;
+            } else {
+                const selected = row.querySelector(`input[name="conflict_${field}"]:checked`);
+                choices[field] = selected ? selected.value : 'mine';
+                if (choices[field] === 'custom') {
+                    choices[field] = { custom: row.querySelector('.conflict-custom').value };
+                }
+            }
+        });
+        
+        modal.remove();
+        await resolveConflict(itemId, choices);
+    });
+}
+
+// Apply the user's choices: keep the server copy outright, or queue the merged values again
+async function resolveConflict(itemId, choices) {
+    const item = await getQueueItem(itemId);
+    if (!item || !item.conflict) return;
+    
+    const dataKey = item.type === 'event' ? 'eventData' : 'tagData';
+    const merged = { ...item[dataKey] };
+    let keepsLocalChange = false;
+    
+    Object.entries(choices).forEach(([field, choice]) => {
+        if (choice === 'server') {
+            merged[field] = item.conflict.server[field];
+        } else if (choice && choice.custom !== undefined) {
+            merged[field] = choice.custom;
+            keepsLocalChange = true;
+        } else {
+            keepsLocalChange = true;
+        }
+    });
+    
+    try {
+        if (!keepsLocalChange) {
+            // Server wins everywhere - nothing left to send
+            await removeFromOfflineQueue(itemId);
+            if (typeof showToast === 'function') showToast('Kept the server version', 'info');
+        } else {
+            const fields = item.type === 'event' ? EVENT_CONFLICT_FIELDS : TAG_CONFLICT_FIELDS;
+            const { conflict, status, ...rest } = item;
+            // The merged result is now based on the server copy we just compared against
+            await saveQueueItem({
+                ...rest,
+                [dataKey]: merged,
+                base: { ...conflict.serverVersion, data: { ...conflict.server } },
+                retries: 0
+            });
+            console.log('Conflict resolved for queue item:', itemId, fields.filter(f => f in merged));
+            if (typeof showToast === 'function') showToast('Merged changes queued for sync', 'success');
+        }
+    } catch (error) {
+        console.error('Error resolving conflict:', error);
+        alert('Could not save your choice: ' + error.message);
+        return;
+    }
+    
+    updateSyncIndicator();
+    
+    // Offer the next conflict, if any, before syncing the rest
+    const queue = await getOfflineQueue();
+    const nextConflict = queue.find(queued => queued.status === 'conflict');
+    if (nextConflict) {
+        showConflictResolver(nextConflict.id);
+    } else {
+        syncOfflineQueue();
+    }
+}
+
+// The part of a queue item the user can edit before retrying it
+function getQueueItemData(item) {
+    if (item.type === 'contact') {
+        return (item.operation || 'create') === 'message' ? { message: item.message } : item.contactData || {};
+    }
+    return item.type === 'event' ? item.eventData || {} : item.tagData || {};
+}
+
+// One-line description of a queue item for lists
+function describeQueueItem(item) {
+    const operation = item.type === 'event' ? (item.isUpdate ? 'update' : 'create') : (item.operation || 'create');
+    const data = getQueueItemData(item);
+    let title = data.name || '';
+    if (item.type === 'contact' && operation === 'message') {
+        title = (item.message || '').slice(0, 60);
+    } else if (item.type === 'contact' && operation === 'media') {
+        title = item.file ? item.file.name || 'Attachment' : 'Attachment';
+    }
+    return {
+        label: `${item.type.charAt(0).toUpperCase() + item.type.slice(1)} ${operation}`,
+        title: title || item.contactId || item.eventId || item.tagId || item.id
+    };
+}
+
+// Status line for an item in the inspector
+function describeQueueItemStatus(item) {
+    if (item.status === 'conflict') return { text: 'Conflict - needs review', color: '#f59e0b' };
+    if (item.status === 'dead') return { text: 'Failed - will not retry until you do', color: '#ef4444' };
+    if (item.nextAttemptAt && item.nextAttemptAt > Date.now()) {
+        return { text: `Retrying at ${new Date(item.nextAttemptAt).toLocaleTimeString()}`, color: 'var(--text-secondary, #666)' };
+    }
+    if ((item.dependsOn || []).length > 0) return { text: 'Waiting for the records it depends on', color: 'var(--text-secondary, #666)' };
+    return { text: 'Waiting to sync', color: 'var(--text-secondary, #666)' };
+}
+
+// Image to preview for an item: the photo of a queued contact or an image attachment
+function getQueueItemThumbnail(item) {
+    if (item.photo instanceof Blob) return item.photo;
+    if (item.file instanceof Blob && (item.file.type || '').startsWith('image/')) return item.file;
+    return null;
+}
+
+// Everything waiting in the queue, with what went wrong and what the user can do about it
+async function showQueueInspector() {
+    const existing = document.getElementById('queueInspectorModal');
+    if (existing) existing.remove();
+    
+    let queue;
+    try {
+        queue = await getOfflineQueue();
+    } catch (error) {
+        console.error('Error reading offline queue:', error);
+        if (typeof showToast === 'function') {
+            showToast('Offline changes can\'t be read right now: ' + (error && error.message || 'storage unavailable'), 'error');
+        }
+        return;
+    }
+    const thumbnailUrls = [];
+    
+    const rows = queue.map((item, index) => {
+        const { label, title } = describeQueueItem(item);
+        const status = describeQueueItemStatus(item);
+        const thumbnail = getQueueItemThumbnail(item);
+        let thumbnailHtml = '';
+        if (thumbnail) {
+            const url = URL.createObjectURL(thumbnail);
+            thumbnailUrls.push(url);
+            thumbnailHtml = `<img src="${url}" alt="" style="width: 48px; height: 48px; object-fit: cover; border-radius: 8px; flex-shrink: 0;">`;
+        }
+        return `
+            <div class="queue-inspector-item" data-id="${item.id}" style="padding: 12px 0; border-bottom: 1px solid var(--border, #eee);">
+                <div style="display: flex; gap: 12px; align-items: flex-start;">
+                    ${thumbnailHtml}
+                    <div style="flex: 1; min-width: 0;">
+                        <div style="font-weight: 600;">${escapeQueueText(label)}: ${escapeQueueText(title)}</div>
+                        <div style="font-size: 13px; color: ${status.color}; margin: 4px 0;">${escapeQueueText(status.text)}</div>
+                        <div style="font-size: 12px; color: var(--text-secondary, #666);">
+                            Queued ${new Date(item.timestamp).toLocaleString()} · ${item.retries || 0} retr${item.retries === 1 ? 'y' : 'ies'}
+                        </div>
+                        ${item.lastError ? `<div style="font-size: 12px; color: #ef4444; margin-top: 4px;">Last error: ${item.lastErrorStatus ? `${item.lastErrorStatus} · ` : ''}${escapeQueueText(item.lastError)}</div>` : ''}
+                    </div>
+                </div>
+                <pre class="queue-inspector-details" style="display: none; font-size: 12px; white-space: pre-wrap; word-break: break-word; background: var(--bg-secondary, #f5f5f5); padding: 8px; border-radius: 6px; margin-top: 8px;">${escapeQueueText(JSON.stringify(getQueueItemData(item), null, 2))}</pre>
+                <div style="display: flex; gap: 8px; flex-wrap: wrap; margin-top: 8px;">
+                    ${item.status === 'conflict'
+                        ? '<button type="button" class="btn-small btn-primary" data-action="resolve">Resolve</button>'
+                        : '<button type="button" class="btn-small btn-primary" data-action="sync">Sync now</button>'}
+                    <button type="button" class="btn-small btn-secondary" data-action="inspect">Details</button>
+                    <button type="button" class="btn-small btn-secondary" data-action="edit">Edit</button>
+                    <button type="button" class="btn-small btn-secondary" data-action="up" ${index === 0 ? 'disabled' : ''} title="Move up">↑</button>
+                    <button type="button" class="btn-small btn-secondary" data-action="down" ${index === queue.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+                    <button type="button" class="btn-small btn-secondary" data-action="delete">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    const modal = document.createElement('div');
+    modal.id = 'queueInspectorModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 600px;">
+            <div class="modal-header">
+                <h3>Offline queue</h3>
+                <button class="modal-close" type="button" data-action="close">&times;</button>
+            </div>
+            <div class="modal-body">
+                ${queue.length === 0
+                    ? '<p>Nothing waiting - all offline changes have synced.</p>'
+                    : `<p style="margin-bottom: 12px;">${queue.length} change${queue.length !== 1 ? 's' : ''} waiting to sync, oldest first. Items sync in this order.</p>
+                       ${rows}
+                       <div style="margin-top: 16px;"><button type="button" class="btn-primary" data-action="sync-all">Sync all now</button></div>`}
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    
+    const closeInspector = () => {
+        thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        modal.remove();
+    };
+    
+    modal.addEventListener('click', async (e) => {
+        const action = e.target.dataset && e.target.dataset.action;
+        if (e.target === modal || action === 'close') {
+            closeInspector();
+            return;
+        }
+        if (!action) return;
+        
+        if (action === 'sync-all') {
+            closeInspector();
+            // Anything parked as failed gets another chance too
+            await retryDeadLetters(queue.filter(item => item.status === 'dead').map(item => item.id));
+            return;
+        }
+        
+        const row = e.target.closest('.queue-inspector-item');
+        if (!row) return;
+        const itemId = row.dataset.id;
+        
+        if (action === 'inspect') {
+            const details = row.querySelector('.queue-inspector-details');
+            details.style.display = details.style.display === 'none' ? 'block' : 'none';
+        } else if (action === 'resolve') {
+            closeInspector();
+            showConflictResolver(itemId);
+        } else if (action === 'edit') {
+            closeInspector();
+            showQueueItemEditor(itemId);
+        } else if (action === 'sync') {
+            closeInspector();
+            await syncQueueItemNow(itemId);
+            showQueueInspector();
+        } else if (action === 'up' || action === 'down') {
+            await moveQueueItem(itemId, action === 'up' ? -1 : 1);
+            closeInspector();
+            showQueueInspector();
+        } else if (action === 'delete') {
+            if (!confirm('Delete this change? It will not be sent to the server.')) return;
+            await discardQueueItem(itemId);
+            closeInspector();
+            showQueueInspector();
+        }
+    });
+}
+
+// Edit the fields of a queued item (e.g. fix an invalid email) before it syncs
+async function showQueueItemEditor(itemId) {
+    const item = await getQueueItem(itemId);
+    if (!item) return;
+    
+    const data = getQueueItemData(item);
+    // Only plain values are editable here; files and nested lists are left as they are
+    const fields = Object.keys(data).filter(key => data[key] === null || ['string', 'number', 'boolean'].includes(typeof data[key]));
+    const isDead = item.status === 'dead';
+    
+    const modal = document.createElement('div');
+    modal.id = 'queueItemEditorModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 520px;">
+            <div class="modal-header">
+                <h3>Edit ${escapeQueueText(describeQueueItem(item).label.toLowerCase())}</h3>
+                <button class="modal-close" type="button" data-action="close">&times;</button>
+            </div>
+            <div class="modal-body">
+                ${item.lastError ? `<p style="font-size: 13px; color: #ef4444; margin-bottom: 12px;">${escapeQueueText(item.lastError)}</p>` : ''}
+                ${fields.length === 0 ? '<p>This item has no editable fields.</p>' : ''}
+                ${fields.map(field => `
+                    <div class="form-group">
+                        <label>${escapeQueueText(field)}</label>
+                        ${typeof data[field] === 'boolean'
+                            ? `<input type="checkbox" data-field="${escapeQueueText(field)}" ${data[field] ? 'checked' : ''}>`
+                            : `<input type="text" data-field="${escapeQueueText(field)}" value="${escapeQueueText(data[field])}">`}
+                    </div>
+                `).join('')}
+                <div style="display: flex; gap: 8px; margin-top: 16px;">
+                    <button type="button" class="btn-secondary" data-action="close">Cancel</button>
+                    <button type="button" class="btn-primary" data-action="save">${isDead ? 'Save and retry' : 'Save'}</button>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    
+    modal.addEventListener('click', async (e) => {
+        const action = e.target.dataset && e.target.dataset.action;
+        if (e.target === modal || action === 'close') {
+            modal.remove();
+            showQueueInspector();
+            return;
+        }
+        if (action !== 'save') return;
+        
+        const updatedData = { ...data };
+        modal.querySelectorAll('[data-field]').forEach(input => {
+            const field = input.dataset.field;
+            const original = data[field];
+            if (input.type === 'checkbox') {
+                updatedData[field] = input.checked;
+            } else if (typeof original === 'number' && input.value.trim() !== '' && !isNaN(Number(input.value))) {
+                updatedData[field] = Number(input.value);
+            } else if (original === null && input.value === '') {
+                updatedData[field] = null;
+            } else {
+                updatedData[field] = input.value;
+            }
+        });
+        
+        const updatedItem = { ...item };
+        if (item.type === 'contact' && (item.operation || 'create') === 'message') {
+            updatedItem.message = updatedData.message;
+        } else if (item.type === 'contact') {
+            updatedItem.contactData = updatedData;
+        } else if (item.type === 'event') {
+            updatedItem.eventData = updatedData;
+        } else {
+            updatedItem.tagData = updatedData;
+        }
+        
+        try {
+            await saveQueueItem(updatedItem);
+        } catch (error) {
+            alert('Could not save changes: ' + error.message);
+            return;
+        }
+        modal.remove();
+        if (isDead) {
+            await retryDeadLetters([itemId]);
+        }
+        showQueueInspector();
+    });
+}
+
+// Move an item one place earlier or later in the replay order by swapping queue timestamps
+async function moveQueueItem(itemId, direction) {
+    const queue = await getOfflineQueue();
+    const index = queue.findIndex(item => item.id === itemId);
+    const neighbour = queue[index + direction];
+    if (index === -1 || !neighbour) return;
+    
+    const item = queue[index];
+    try {
+        await saveQueueItem({ ...item, timestamp: neighbour.timestamp });
+        await saveQueueItem({ ...neighbour, timestamp: item.timestamp });
+    } catch (error) {
+        console.error('Error reordering offline queue:', error);
+        alert('Could not reorder the queue: ' + error.message);
+    }
+}
+
+// Try a single item right away, ignoring its backoff (and giving a failed item another chance)
+async function syncQueueItemNow(itemId) {
+    const item = await getQueueItem(itemId);
+    if (!item) return;
+    
+    if (item.status === 'dead' || item.nextAttemptAt) {
+        const { status, deadLetteredAt, nextAttemptAt, ...rest } = item;
+        await saveQueueItem({ ...rest, retries: item.status === 'dead' ? 0 : item.retries });
+    }
+    await syncOfflineQueue({ ignoreBackoff: true, itemIds: [itemId] });
+    
+    const remaining = await getQueueItem(itemId);
+    if (remaining && typeof showToast === 'function') {
+        const waitingOn = (remaining.dependsOn || []).length > 0;
+        showToast(waitingOn ? 'This item is waiting for the records it depends on to sync first' : 'Item could not be synced yet', 'warning');
+    }
+}
+
+// Put failed items back in line with a fresh retry budget
+async function retryDeadLetters(itemIds) {
+    for (const itemId of itemIds) {
+        const item = await getQueueItem(itemId);
+        if (!item) continue;
+        const { status, deadLetteredAt, nextAttemptAt, ...rest } = item;
+        try {
+            await saveQueueItem({ ...rest, retries: 0 });
+        } catch (error) {
+            console.error('Error re-queueing item:', itemId, error);
+        }
+    }
+    await syncOfflineQueue({ ignoreBackoff: true });
+}
+
+// Drop a queue item for good. Discarding a create also drops everything that needed the record.
+async function discardQueueItem(itemId) {
+    const item = await getQueueItem(itemId);
+    if (!item) return;
+    
+    const isCreate = item.type === 'event' ? !item.isUpdate : (item.operation || 'create') === 'create';
+    if (isCreate) {
+        await discardPendingRecord(item.id);
+    } else {
+        await removeFromOfflineQueue(item.id);
+    }
+    
+    if (item.type === 'contact' && typeof loadContacts === 'function') {
+        loadContacts().catch(e => console.warn('Could not reload contacts:', e));
+    } else if (item.type === 'event' && typeof loadEvents === 'function') {
+        loadEvents().catch(e => console.warn('Could not reload events:', e));
+    }
+}
+
+// Show how much space the queue takes and warn when the origin is close to its quota
+async function updateSyncStorageEstimate(syncBadge, queue) {
+    const estimate = await estimateQueueStorage(queue);
+    const storageEl = syncBadge.querySelector('.sync-badge-storage');
+    if (!storageEl) return;
+    
+    const nearQuota = estimate.usage !== null && estimate.quota && (estimate.usage / estimate.quota) >= STORAGE_WARNING_RATIO;
+    storageEl.textContent = `· ${formatBytes(estimate.queueBytes)}${nearQuota ? ' ⚠️' : ''}`;
+    syncBadge.title = estimate.quota
+        ? `Offline queue: ${formatBytes(estimate.queueBytes)} · Device storage: ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} used`
+        : `Offline queue: ${formatBytes(estimate.queueBytes)}`;
+    
+    if (nearQuota) {
+        console.warn('Storage is nearly full:', formatBytes(estimate.usage), 'of', formatBytes(estimate.quota));
+    }
+}
+
 // Initialize offline queue sync
-function initOfflineSync() {
+async function initOfflineSync() {
+    // Ask the browser not to evict queued items under storage pressure
+    if (navigator.storage && navigator.storage.persist) {
+        navigator.storage.persist().catch(() => {});
+    }
+    
+    // The old flag could be left at 'true' by a tab that closed mid-sync
+    localStorage.removeItem(LEGACY_SYNC_FLAG_KEY);
+    
+    // Listen for queue changes and sync status from other tabs
+    getQueueChannel();
+    
+    // The service worker hands the replay to us when it can't do it itself (expired session,
+    // or no Web Locks to coordinate with this tab)
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'SYNC_OFFLINE_QUEUE') {
+                syncOfflineQueue({ ignoreBackoff: !!event.data.ignoreBackoff });
+            }
+        });
+    }
+    await storeSyncCredentials();
+    registerBackgroundSync();
+    
+    // Move any items left in the old localStorage queue into IndexedDB
+    try {
+        await migrateLegacyQueue();
+        await claimUnownedQueueItems();
+        await pruneIdMap();
+    } catch (error) {
+        console.error('Error preparing offline queue:', error);
+    }
+    
     // Sync when coming online
     window.addEventListener('online', () => {
         console.log('Network online, syncing offline queue...');
-        syncOfflineQueue();
+        // A connection coming back is the most likely fix for transient failures - don't wait out the backoff
+        syncOfflineQueue({ ignoreBackoff: true });
     });
     
     // Check for pending items on load
@@ -400,10 +1721,18 @@ function initOfflineSync() {
     // Update indicator
     updateSyncIndicator();
     
-    // Periodic sync check (every 30 seconds when online)
-    setInterval(() => {
-        if (navigator.onLine && getOfflineQueue().length > 0) {
-            syncOfflineQueue();
+    // Retry items whose backoff ran out before this page was opened
+    scheduleNextSync();
+    
+    // Periodic check for newly queued items (every 30 seconds when online); items in backoff wait their turn
+    setInterval(async () => {
+        try {
+            if (navigator.onLine && (await getOfflineQueue()).length > 0) {
+                syncOfflineQueue();
+            }
+        } catch (error) {
+            console.error('Error reading offline queue:', error);
+            updateSyncIndicator();
         }
     }, 30000);
 }
@@ -411,11 +1740,26 @@ function initOfflineSync() {
 // Export functions
 window.offlineQueue = {
     addContact: addContactToQueue,
+    addContactOperation: addContactOperationToQueue,
     addEvent: addEventToQueue,
     addTag: addTagToQueue,
     sync: syncOfflineQueue,
     getQueue: getOfflineQueue,
-    clear: () => saveOfflineQueue([]),
+    getItem: getQueueItem,
+    getPendingEvents: getPendingEvents,
+    getPendingContacts: getPendingContacts,
+    isTemporaryId: isTemporaryId,
+    discardPending: discardPendingRecord,
+    resolveId: resolveTemporaryId,
+    resolveConflict: showConflictResolver,
+    inspect: showQueueInspector,
+    retryFailed: retryDeadLetters,
+    discard: discardQueueItem,
+    estimateStorage: estimateQueueStorage,
+    clear: clearOfflineQueue,
+    clearAccount: clearAccountQueue,
+    storeCredentials: storeSyncCredentials,
+    whenSyncIdle: waitForSyncIdle,
     init: initOfflineSync
 };
 
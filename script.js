@@ -96,6 +96,29 @@ document.addEventListener('DOMContentLoaded', async () => {
     const profileMatch = urlPath.match(/\/profile\/([a-f0-9-]+)/i);
     const profileUserId = profileMatch ? profileMatch[1] : null;
     
+    // Content shared into the app arrives as /?share-target=<id> (see sw.js);
+    // it is handled once the user is logged in and the app is loaded
+    const launchParams = new URLSearchParams(window.location.search);
+    const shareTargetId = launchParams.get('share-target');
+    if (shareTargetId) {
+        sessionStorage.setItem('pendingShareTarget', shareTargetId);
+        window.history.replaceState({}, '', '/');
+    }
+    
+    // Notification actions that had to open a new window (see sw.js)
+    const notificationAction = launchParams.get('notification-action');
+    if (notificationAction) {
+        sessionStorage.setItem('pendingNotificationAction', JSON.stringify({
+            action: notificationAction,
+            data: {
+                contact_id: launchParams.get('contact'),
+                followup_type: launchParams.get('followup-type'),
+                user_id: launchParams.get('account')
+            }
+        }));
+        window.history.replaceState({}, '', '/');
+    }
+    
     // Check if required functions exist (only for authenticated app)
     if (typeof getCurrentUser === 'undefined' || typeof getAuthToken === 'undefined') {
         debugError('❌ API functions not loaded! Check if api.js is loaded before script.js');
@@ -169,8 +192,14 @@ document.addEventListener('DOMContentLoaded', async () => {
                 }
             } catch (error) {
                 debugError('Auth error:', error);
-                clearAuthToken();
-                showAuthScreen();
+                if (isNetworkError(error)) {
+                    // Couldn't reach the server to check - keep the session, it renews once we're back
+                    showApp();
+                    showToast('📴 Can\'t reach the server right now', 'error');
+                } else {
+                    clearAuthToken();
+                    showAuthScreen();
+                }
             }
         } else {
             // User not logged in - check if this is a public profile URL
@@ -182,6 +211,9 @@ document.addEventListener('DOMContentLoaded', async () => {
             
             debugLog('No user/token, showing auth screen');
             showAuthScreen();
+            if (shareTargetId) {
+                showToast('Log in to save what you shared', 'info');
+            }
         }
 
         setupEventListeners();
@@ -192,6 +224,12 @@ document.addEventListener('DOMContentLoaded', async () => {
             offlineQueue.init();
         }
         
+        // Offer new versions of the app instead of switching mid-session
+        initServiceWorkerUpdates();
+        initNotificationActions();
+        initLiveUpdates();
+        initAccountSwitching();
+        
         debugLog('✅ Initialization complete');
     } catch (error) {
         debugError('❌ Initialization error:', error);
@@ -209,6 +247,7 @@ function setupEventListeners() {
         document.getElementById('googleSignIn')?.addEventListener('click', handleGoogleSignIn);
     }
     document.getElementById('linkedinSignIn')?.addEventListener('click', handleLinkedInSignIn);
+    document.getElementById('passkeySignIn')?.addEventListener('click', handlePasskeySignIn);
     document.getElementById('emailSignIn')?.addEventListener('click', handleEmailSignIn);
     document.getElementById('emailSignUp')?.addEventListener('click', handleEmailSignUp);
     
@@ -245,7 +284,18 @@ function setupEventListeners() {
     document.getElementById('saveProfileBtn')?.addEventListener('click', saveProfile);
     document.getElementById('shareProfileBtn')?.addEventListener('click', shareProfile);
     document.getElementById('saveProfileToContactsBtn')?.addEventListener('click', saveProfileToContacts);
+    document.getElementById('switchAccountBtn')?.addEventListener('click', showAccountSwitcher);
+    document.getElementById('sessionsBtn')?.addEventListener('click', () => switchView('sessions'));
+    document.getElementById('addPasskeyBtn')?.addEventListener('click', handleAddPasskey);
+    document.getElementById('backToProfileBtn')?.addEventListener('click', () => switchView('profile'));
+    document.getElementById('logoutEverywhereBtn')?.addEventListener('click', logoutEverywhere);
     document.getElementById('manageTagsBtn')?.addEventListener('click', () => switchView('tags'));
+    document.getElementById('apiCacheDebugBtn')?.addEventListener('click', showApiCacheDebugPanel);
+    if (DEBUG) document.getElementById('apiCacheDebugBtn')?.classList.remove('hidden');
+    document.getElementById('notificationsBtn')?.addEventListener('click', () => switchView('notifications'));
+    document.getElementById('notificationSettingsBtn')?.addEventListener('click', () => switchView('notificationSettings'));
+    document.getElementById('backToNotificationsBtn')?.addEventListener('click', () => switchView('notifications'));
+    document.getElementById('markAllNotificationsReadBtn')?.addEventListener('click', markAllNotificationsRead);
     document.getElementById('qrModeToggle')?.addEventListener('change', handleQRModeToggle);
     document.getElementById('closeCompletenessBtn')?.addEventListener('click', () => {
         const card = document.getElementById('profileCompletenessCard');
@@ -261,7 +311,7 @@ function setupEventListeners() {
     document.getElementById('importLumaBtn')?.addEventListener('click', () => {
         document.getElementById('lumaImportModal')?.classList.remove('hidden');
     });
-    document.getElementById('importLumaUrlBtn')?.addEventListener('click', importLumaEventFromUrl);
+    document.getElementById('importLumaUrlBtn')?.addEventListener('click', () => importLumaEventFromUrl());
     document.getElementById('importLumaApiBtn')?.addEventListener('click', importLumaEventsFromApi);
     
     // Close Luma import modal
@@ -476,6 +526,9 @@ function setupEventListeners() {
         switchView('events');
     });
 
+    // Offline-created records getting their server ids
+    window.addEventListener('offlineQueue:idRemapped', handleOfflineIdRemapped);
+
     // Admin view
     document.getElementById('createUserBtn')?.addEventListener('click', openCreateUserModal);
     document.getElementById('saveAdminUserBtn')?.addEventListener('click', saveAdminUser);
@@ -551,6 +604,8 @@ function setupEventListeners() {
 // Screen management
 function showAuthScreen() {
     console.log('Showing auth screen');
+    renderSignedInAccounts();
+    startPasskeyAutofill();
     const loadingScreen = document.getElementById('loadingScreen');
     const authScreen = document.getElementById('authScreen');
     const appContainer = document.getElementById('appContainer');
@@ -567,6 +622,7 @@ function showAuthScreen() {
 
 function showApp() {
     console.log('Showing app');
+    stopPasskeyAutofill();
     const loadingScreen = document.getElementById('loadingScreen');
     const authScreen = document.getElementById('authScreen');
     const appContainer = document.getElementById('appContainer');
@@ -1065,20 +1121,46 @@ async function populateContactForm(contactInfo, options = {}) {
     }
 }
 
-function handleLogout() {
+async function handleLogout() {
     if (confirm('Are you sure you want to logout?')) {
+        await signOutActiveAccount();
+    }
+}
+
+// Log this device out: its session is revoked on the server and its pushes stopped
+// (best effort - logging out offline still works), then the account is dropped here.
+// Pass { server: false } when the server side is already taken care of.
+async function signOutActiveAccount({ server = true } = {}) {
+    const account = getActiveAccount();
+    if (server) {
+        await unsubscribeAccountPush(account);
+        try {
+            await api.revokeSession('current');
+        } catch (error) {
+            console.warn('Could not revoke the session on the server:', error.message);
+        }
+    }
+    if (account) {
+        await removeAccount(account.user.id);
+    } else {
         clearAuthToken();
-        currentUser = null;
-        currentEvent = null;
-        localStorage.removeItem('currentEventId');
-        updateAuthButton();
-        showAuthScreen();
     }
+    currentUser = null;
+    currentEvent = null;
+    
+    // Other accounts stay signed in on this device - carry on with the next one
+    const nextAccount = listAccounts().find(other => other.token);
+    if (nextAccount) {
+        switchToAccount(nextAccount.user.id);
+        return;
+    }
+    updateAuthButton();
+    showAuthScreen();
 }
 
 async function switchView(viewName) {
     // Check authentication for protected views (everything except public profile)
-    const protectedViews = ['contacts', 'events', 'tags', 'profile', 'admin', 'chat', 'home'];
+    const protectedViews = ['contacts', 'events', 'tags', 'profile', 'admin', 'chat', 'home', 'notifications', 'notificationSettings', 'sessions'];
     
     if (protectedViews.includes(viewName)) {
         const currentUser = getCurrentUser();
@@ -1096,11 +1178,14 @@ async function switchView(viewName) {
         try {
             await api.getProfile();
         } catch (error) {
-            // Token invalid or expired
-            clearAuthToken();
-            showToast('🔐 Session expired. Please login again', 'error');
-            showAuthScreen();
-            return;
+            // Only a failed session renewal ends the session (the API client already
+            // cleared it); being offline or a server hiccup keeps the user where they are
+            if (error instanceof UnauthorizedError) {
+                showToast('🔐 Session expired. Please login again', 'error');
+                showAuthScreen();
+                return;
+            }
+            debugWarn('Could not verify session:', error.message);
         }
     }
     
@@ -1129,8 +1214,14 @@ async function switchView(viewName) {
         loadContacts();
         loadTagFilter(); // Load tags for filter dropdown
     }
-    if (viewName === 'profile') loadProfile();
+    if (viewName === 'profile') {
+        loadProfile();
+        loadPasskeys();
+    }
     if (viewName === 'tags') loadTagsForManagement();
+    if (viewName === 'notifications') loadNotificationCenter();
+    if (viewName === 'notificationSettings') loadNotificationSettings();
+    if (viewName === 'sessions') loadSessions();
     if (viewName === 'admin') loadAllUsers();
     if (viewName === 'home') {
         // Ensure current event banner is visible when on home page
@@ -1228,6 +1319,259 @@ async function handleGoogleCredentialResponse(response) {
     }
 }
 
+// Passkeys (WebAuthn)
+// Passwordless sign-in with the device's screen lock: no OTP to wait for at a crowded
+// venue. The auth screen offers passkeys in the email field's autofill (conditional UI)
+// and through a button; the profile registers and removes them.
+let passkeyAutofillController = null;
+
+function isPasskeySupported() {
+    return typeof window.PublicKeyCredential !== 'undefined' && !!navigator.credentials;
+}
+
+function base64UrlToBuffer(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=');
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
+
+function bufferToBase64Url(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// The server sends options as WebAuthn JSON; the browser API wants ArrayBuffers
+function parseCreationOptions(options) {
+    if (PublicKeyCredential.parseCreationOptionsFromJSON) {
+        return PublicKeyCredential.parseCreationOptionsFromJSON(options);
+    }
+    return {
+        ...options,
+        challenge: base64UrlToBuffer(options.challenge),
+        user: { ...options.user, id: base64UrlToBuffer(options.user.id) },
+        excludeCredentials: (options.excludeCredentials || []).map(credential => ({ ...credential, id: base64UrlToBuffer(credential.id) }))
+    };
+}
+
+function parseRequestOptions(options) {
+    if (PublicKeyCredential.parseRequestOptionsFromJSON) {
+        return PublicKeyCredential.parseRequestOptionsFromJSON(options);
+    }
+    return {
+        ...options,
+        challenge: base64UrlToBuffer(options.challenge),
+        allowCredentials: (options.allowCredentials || []).map(credential => ({ ...credential, id: base64UrlToBuffer(credential.id) }))
+    };
+}
+
+function serializeCredential(credential) {
+    if (typeof credential.toJSON === 'function') {
+        return credential.toJSON();
+    }
+    const response = credential.response;
+    const json = {
+        id: credential.id,
+        rawId: bufferToBase64Url(credential.rawId),
+        type: credential.type,
+        authenticatorAttachment: credential.authenticatorAttachment || null,
+        clientExtensionResults: credential.getClientExtensionResults(),
+        response: { clientDataJSON: bufferToBase64Url(response.clientDataJSON) }
+    };
+    if (response.attestationObject) {
+        // Registration
+        json.response.attestationObject = bufferToBase64Url(response.attestationObject);
+        json.response.transports = response.getTransports ? response.getTransports() : [];
+    } else {
+        // Sign-in
+        json.response.authenticatorData = bufferToBase64Url(response.authenticatorData);
+        json.response.signature = bufferToBase64Url(response.signature);
+        json.response.userHandle = response.userHandle ? bufferToBase64Url(response.userHandle) : null;
+    }
+    return json;
+}
+
+async function completePasskeySignIn(credential) {
+    await api.passkeyLogin(serializeCredential(credential));
+    showToast('Signed in with your passkey', 'success');
+    
+    currentUser = getCurrentUser();
+    showApp();
+    await loadInitialData();
+    await checkAdminStatus();
+    
+    // Initialize push notifications
+    await initializePushNotifications();
+    
+    // Check if there's a pending contact save action
+    const pendingContactSave = sessionStorage.getItem('pendingContactSave');
+    if (pendingContactSave) {
+        try {
+            const contactData = JSON.parse(pendingContactSave);
+            sessionStorage.removeItem('pendingContactSave');
+            setTimeout(async () => {
+                await openContactModal(contactData);
+            }, 500);
+        } catch (error) {
+            console.error('Error parsing pending contact save:', error);
+            sessionStorage.removeItem('pendingContactSave');
+        }
+    }
+}
+
+// Conditional UI: passkeys show up in the email field's autofill while the auth screen is open
+async function startPasskeyAutofill() {
+    const passkeyBtn = document.getElementById('passkeySignIn');
+    if (passkeyBtn) passkeyBtn.classList.toggle('hidden', !isPasskeySupported());
+    
+    if (!isPasskeySupported() || !PublicKeyCredential.isConditionalMediationAvailable) return;
+    if (passkeyAutofillController) return;
+    const controller = new AbortController();
+    passkeyAutofillController = controller;
+    
+    try {
+        if (!(await PublicKeyCredential.isConditionalMediationAvailable())) return;
+        const options = await api.getPasskeyLoginOptions();
+        const credential = await navigator.credentials.get({
+            mediation: 'conditional',
+            publicKey: parseRequestOptions(options),
+            signal: controller.signal
+        });
+        if (credential) await completePasskeySignIn(credential);
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            console.warn('Passkey autofill failed:', error);
+            if (error instanceof ApiError) showToast('Passkey sign-in failed: ' + error.message, 'error');
+        }
+    } finally {
+        if (passkeyAutofillController === controller) passkeyAutofillController = null;
+    }
+}
+
+function stopPasskeyAutofill() {
+    if (passkeyAutofillController) {
+        passkeyAutofillController.abort();
+        passkeyAutofillController = null;
+    }
+}
+
+async function handlePasskeySignIn() {
+    const passkeyBtn = document.getElementById('passkeySignIn');
+    // Only one WebAuthn request can be pending - the autofill one gives way
+    stopPasskeyAutofill();
+    if (passkeyBtn) passkeyBtn.disabled = true;
+    
+    try {
+        const options = await api.getPasskeyLoginOptions();
+        const credential = await navigator.credentials.get({ publicKey: parseRequestOptions(options) });
+        await completePasskeySignIn(credential);
+    } catch (error) {
+        console.error('Passkey sign-in error:', error);
+        if (error.name === 'NotAllowedError') {
+            showToast('Passkey sign-in was cancelled', 'info');
+        } else {
+            showToast('Passkey sign-in failed: ' + error.message, 'error');
+        }
+    } finally {
+        if (passkeyBtn) passkeyBtn.disabled = false;
+        const authScreen = document.getElementById('authScreen');
+        if (authScreen && !authScreen.classList.contains('hidden')) startPasskeyAutofill();
+    }
+}
+
+// A name to tell passkeys apart in the list, e.g. "Chrome on Android"
+function getPasskeyDeviceName() {
+    const ua = navigator.userAgent;
+    const platform = /iPhone|iPad/.test(ua) ? 'iPhone' : /Android/.test(ua) ? 'Android' : /Mac/.test(ua) ? 'Mac' : /Windows/.test(ua) ? 'Windows' : 'this device';
+    const browser = /Edg\//.test(ua) ? 'Edge' : /Chrome\//.test(ua) ? 'Chrome' : /Firefox\//.test(ua) ? 'Firefox' : /Safari\//.test(ua) ? 'Safari' : 'Browser';
+    return `${browser} on ${platform}`;
+}
+
+async function loadPasskeys() {
+    const section = document.getElementById('passkeySection');
+    const listEl = document.getElementById('passkeyList');
+    if (!section || !listEl) return;
+    section.classList.toggle('hidden', !isPasskeySupported());
+    if (!isPasskeySupported()) return;
+    
+    let passkeys;
+    try {
+        passkeys = await api.getPasskeys();
+    } catch (error) {
+        console.error('Error loading passkeys:', error);
+        listEl.innerHTML = `<p style="font-size: 13px; color: var(--text-secondary);">${isNetworkError(error) ? 'Passkeys can\'t be loaded offline' : 'Could not load passkeys'}</p>`;
+        return;
+    }
+    
+    if (!passkeys.length) {
+        listEl.innerHTML = '<p style="font-size: 13px; color: var(--text-secondary);">No passkeys yet</p>';
+        return;
+    }
+    listEl.innerHTML = '';
+    passkeys.forEach(passkey => {
+        const item = document.createElement('div');
+        item.className = 'session-item';
+        item.innerHTML = `
+            <div style="flex: 1; min-width: 0;">
+                <div class="passkey-name" style="font-size: 15px; font-weight: 600; color: var(--text-primary);"></div>
+                <div style="font-size: 13px; color: var(--text-secondary); margin-top: 4px;">
+                    Added ${new Date(passkey.created_at).toLocaleDateString()}${passkey.last_used_at ? ` · Last used ${formatNotificationTime(Date.parse(passkey.last_used_at))}` : ''}
+                </div>
+            </div>
+            <button type="button" class="btn-small btn-secondary">Remove</button>
+        `;
+        item.querySelector('.passkey-name').textContent = passkey.name || 'Passkey';
+        item.querySelector('button').addEventListener('click', () => removePasskey(passkey));
+        listEl.appendChild(item);
+    });
+}
+
+async function handleAddPasskey() {
+    if (!isPasskeySupported()) {
+        alert('This browser does not support passkeys');
+        return;
+    }
+    const addBtn = document.getElementById('addPasskeyBtn');
+    if (addBtn) addBtn.disabled = true;
+    
+    try {
+        const options = await api.getPasskeyRegistrationOptions();
+        const credential = await navigator.credentials.create({ publicKey: parseCreationOptions(options) });
+        await api.registerPasskey(serializeCredential(credential), getPasskeyDeviceName());
+        showToast('Passkey added - use it next time you sign in', 'success');
+        await loadPasskeys();
+    } catch (error) {
+        console.error('Passkey registration error:', error);
+        if (error.name === 'NotAllowedError') {
+            showToast('Passkey setup was cancelled', 'info');
+        } else if (error.name === 'InvalidStateError') {
+            // excludeCredentials matched: this authenticator already holds one for the account
+            showToast('This device already has a passkey for your account', 'info');
+        } else {
+            showToast('Failed to add passkey: ' + error.message, 'error');
+        }
+    } finally {
+        if (addBtn) addBtn.disabled = false;
+    }
+}
+
+async function removePasskey(passkey) {
+    if (!confirm(`Remove the passkey "${passkey.name || 'Passkey'}"? You won't be able to sign in with it any more.`)) return;
+    try {
+        await api.deletePasskey(passkey.id);
+        showToast('Passkey removed', 'success');
+    } catch (error) {
+        console.error('Error removing passkey:', error);
+        showToast('Failed to remove passkey: ' + error.message, 'error');
+    }
+    await loadPasskeys();
+}
+
 // Push Notification Functions
 let pushSubscriptionEndpoint = null;
 
@@ -1250,7 +1594,7 @@ async function initializePushNotifications() {
         console.log('🔔 Initializing push notifications...');
         
         // Register service worker
-        const registration = await navigator.serviceWorker.register('/sw.js');
+        const registration = await registerServiceWorker();
         console.log('✅ Service Worker registered:', registration.scope);
         debugLog('✅ Service Worker registered');
         
@@ -1271,6 +1615,12 @@ async function initializePushNotifications() {
             return;
         }
         
+        // Don't ask for permission when every category is turned off
+        if (getEnabledNotificationCategories().length === 0) {
+            console.log('ℹ️ All notification categories turned off, not subscribing');
+            return;
+        }
+        
         // Check current permission
         const currentPermission = Notification.permission;
         console.log('📋 Current notification permission:', currentPermission);
@@ -1357,15 +1707,316 @@ async function initializePushNotifications() {
     }
 }
 
+// Notification actions
+// sw.js handles snooze/done itself and forwards the rest here: by postMessage when a
+// window is open, or as ?notification-action=... when it has to open a new one.
+async function handleNotificationAction(action, data = {}) {
+    // Notifications for another signed-in account open in that account
+    if (data.user_id && String(data.user_id) !== String(getUserIdForCache())) {
+        const account = getAccounts()[data.user_id];
+        if (!account || !account.token) {
+            showToast('This notification is for an account that isn\'t signed in here', 'info');
+            return;
+        }
+        sessionStorage.setItem('pendingNotificationAction', JSON.stringify({ action, data }));
+        switchToAccount(data.user_id);
+        return;
+    }
+    
+    const contactId = data.contact_id || data.contactId;
+    
+    if (contactId) {
+        await viewContact(contactId);
+        if (action === 'followup' && currentViewingContactId) {
+            await handleAiFollowup(currentViewingContactId, currentViewingContact, data.followup_type || 'email');
+        }
+        return;
+    }
+    
+    // Notifications without a contact keep their link, e.g. a shared profile
+    const profileMatch = (data.url || '').match(/\/profile\/([a-f0-9-]+)/i);
+    if (profileMatch) {
+        await loadPublicProfile(profileMatch[1]);
+    }
+}
+
+function initNotificationActions() {
+    if (!('serviceWorker' in navigator)) return;
+    
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        const message = event.data || {};
+        if (message.type === 'NOTIFICATION_ACTION') {
+            if (!getCurrentUser()) {
+                showToast('Log in to open this notification', 'info');
+                return;
+            }
+            handleNotificationAction(message.action, message.data).catch(error => {
+                console.error('Error handling notification action:', error);
+            });
+        } else if (message.type === 'NOTIFICATION_RECEIVED') {
+            refreshNotificationCenter();
+        } else if (message.type === 'NOTIFICATION_ACTION_COMPLETED') {
+            // Snoozed or done from the notification - drop stale follow-up data
+            cacheInvalidation.invalidateContacts();
+            showToast(message.action === 'snooze' ? '⏰ Reminder snoozed for a day' : '✅ Reminder marked done', 'success');
+        }
+    });
+}
+
+// Notification center
+// sw.js records every push in IndexedDB; here we list them and track read state.
+const NOTIFICATION_DB_NAME = 'pplai_notifications';
+const NOTIFICATION_STORE = 'notifications';
+
+function openNotificationDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(NOTIFICATION_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(NOTIFICATION_STORE, { keyPath: 'id' });
+            store.createIndex('receivedAt', 'receivedAt', { unique: false });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function notificationStoreRequest(mode, callback) {
+    const db = await openNotificationDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(NOTIFICATION_STORE, mode);
+        const request = callback(tx.objectStore(NOTIFICATION_STORE));
+        tx.oncomplete = () => {
+            db.close();
+            resolve(request ? request.result : undefined);
+        };
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// The active account's notifications, newest first (older payloads name no account)
+async function getNotificationHistory() {
+    const accountId = String(getUserIdForCache());
+    const notifications = await notificationStoreRequest('readonly', store => store.index('receivedAt').getAll());
+    return (notifications || [])
+        .filter(notification => !notification.data || !notification.data.user_id || String(notification.data.user_id) === accountId)
+        .reverse();
+}
+
+async function markNotificationRead(notificationId) {
+    const record = await notificationStoreRequest('readonly', store => store.get(notificationId));
+    if (record && !record.read) {
+        await notificationStoreRequest('readwrite', store => store.put({ ...record, read: true, readAt: Date.now() }));
+    }
+}
+
+async function markAllNotificationsRead() {
+    try {
+        const notifications = await getNotificationHistory();
+        const unread = notifications.filter(notification => !notification.read);
+        if (unread.length) {
+            await notificationStoreRequest('readwrite', store => {
+                unread.forEach(notification => store.put({ ...notification, read: true, readAt: Date.now() }));
+            });
+        }
+        await refreshNotificationCenter();
+    } catch (error) {
+        console.error('Error marking notifications read:', error);
+        showToast('Failed to update notifications', 'error');
+    }
+}
+
+async function updateNotificationBadge(notifications) {
+    const countEl = document.getElementById('notificationUnreadCount');
+    if (!countEl || !('indexedDB' in window)) return;
+    
+    try {
+        const list = notifications || await getNotificationHistory();
+        const unreadCount = list.filter(notification => !notification.read).length;
+        countEl.textContent = unreadCount > 99 ? '99+' : String(unreadCount);
+        countEl.classList.toggle('hidden', unreadCount === 0);
+    } catch (error) {
+        console.error('Error reading notification history:', error);
+    }
+}
+
+function formatNotificationTime(timestamp) {
+    const minutes = Math.round((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'Just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 24 * 60) return `${Math.round(minutes / 60)} h ago`;
+    return new Date(timestamp).toLocaleDateString();
+}
+
+function displayNotifications(notifications) {
+    const listEl = document.getElementById('notificationsList');
+    if (!listEl) return;
+    
+    if (!notifications.length) {
+        listEl.innerHTML = '<p style="text-align: center; color: var(--text-secondary); padding: 40px 20px;">No notifications yet</p>';
+        return;
+    }
+    
+    listEl.innerHTML = '';
+    notifications.forEach(notification => {
+        const item = document.createElement('div');
+        item.className = `notification-item${notification.read ? '' : ' unread'}`;
+        item.innerHTML = `
+            <div style="flex: 1; min-width: 0;">
+                <div class="notification-title" style="font-size: 15px; color: var(--text-primary);"></div>
+                <div class="notification-body" style="font-size: 14px; color: var(--text-secondary); margin-top: 4px;"></div>
+                <div style="font-size: 12px; color: var(--text-secondary); margin-top: 8px;">${formatNotificationTime(notification.receivedAt)}</div>
+            </div>
+        `;
+        item.querySelector('.notification-title').textContent = notification.title || 'pplai.app';
+        item.querySelector('.notification-body').textContent = notification.body || '';
+        item.addEventListener('click', async () => {
+            await markNotificationRead(notification.id);
+            await refreshNotificationCenter();
+            await handleNotificationAction('open', notification.data || {});
+        });
+        listEl.appendChild(item);
+    });
+}
+
+async function loadNotificationCenter() {
+    try {
+        const notifications = await getNotificationHistory();
+        displayNotifications(notifications);
+        updateNotificationBadge(notifications);
+    } catch (error) {
+        console.error('Error loading notifications:', error);
+        const listEl = document.getElementById('notificationsList');
+        if (listEl) listEl.innerHTML = '<p style="text-align: center; color: var(--text-secondary); padding: 40px 20px;">Could not load notifications</p>';
+    }
+}
+
+// Keeps the badge and, when it's open, the list current
+async function refreshNotificationCenter() {
+    const view = document.getElementById('notificationsView');
+    if (view && !view.classList.contains('hidden')) {
+        await loadNotificationCenter();
+    } else {
+        await updateNotificationBadge();
+    }
+}
+
+// Notification preferences
+// Stored per device; the enabled categories go to the backend with the push
+// subscription, and turning everything off unsubscribes this device.
+const NOTIFICATION_PREFERENCES_KEY = 'notification_preferences'; // Per account, see accountStorageKey
+const NOTIFICATION_CATEGORIES = [
+    { id: 'followup_reminder', label: 'Follow-up reminders', description: 'When it\'s time to follow up with a contact' },
+    { id: 'new_connection', label: 'New connections', description: 'When someone saves your profile' },
+    { id: 'event_update', label: 'Event updates', description: 'Changes to events you attend' },
+    { id: 'profile_qr', label: 'Profile QR on exit', description: 'Your QR code when you leave the app, ready to show' }
+];
+
+function getNotificationPreferences() {
+    const defaults = {};
+    NOTIFICATION_CATEGORIES.forEach(category => { defaults[category.id] = true; });
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(accountStorageKey(NOTIFICATION_PREFERENCES_KEY)) || '{}') };
+    } catch (error) {
+        return defaults;
+    }
+}
+
+function getEnabledNotificationCategories() {
+    const preferences = getNotificationPreferences();
+    return NOTIFICATION_CATEGORIES.filter(category => preferences[category.id]).map(category => category.id);
+}
+
+async function setNotificationPreference(categoryId, enabled) {
+    const preferences = { ...getNotificationPreferences(), [categoryId]: enabled };
+    localStorage.setItem(accountStorageKey(NOTIFICATION_PREFERENCES_KEY), JSON.stringify(preferences));
+    
+    if (!('serviceWorker' in navigator) || !('PushManager' in window)) return;
+    
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        const subscription = await registration.pushManager.getSubscription();
+        if (subscription) {
+            // Re-sends the categories, or unsubscribes when none are left
+            await updatePushSubscription(subscription);
+        } else if (enabled) {
+            await initializePushNotifications();
+        }
+    } catch (error) {
+        console.error('Error applying notification preferences:', error);
+        showToast('Preference saved, but the push subscription could not be updated', 'warning');
+    }
+    loadNotificationSettings();
+}
+
+function loadNotificationSettings() {
+    const listEl = document.getElementById('notificationCategoryList');
+    const permissionEl = document.getElementById('notificationPermissionInfo');
+    if (!listEl) return;
+    
+    if (permissionEl) {
+        let permissionMessage = '';
+        if (!('Notification' in window) || !('PushManager' in window)) {
+            permissionMessage = 'Push notifications are not supported in this browser.';
+        } else if (Notification.permission === 'denied') {
+            permissionMessage = 'Notifications are blocked for pplai.app. Allow them in your browser settings to receive these.';
+        }
+        permissionEl.textContent = permissionMessage;
+        permissionEl.classList.toggle('hidden', !permissionMessage);
+    }
+    
+    const preferences = getNotificationPreferences();
+    listEl.innerHTML = '';
+    NOTIFICATION_CATEGORIES.forEach(category => {
+        const row = document.createElement('div');
+        row.className = 'notification-setting';
+        row.innerHTML = `
+            <div>
+                <div style="font-size: 15px; font-weight: 600; color: var(--text-primary);">${category.label}</div>
+                <div style="font-size: 13px; color: var(--text-secondary); margin-top: 4px;">${category.description}</div>
+            </div>
+            <label class="toggle-switch">
+                <input type="checkbox" ${preferences[category.id] ? 'checked' : ''}>
+                <span class="toggle-slider"></span>
+            </label>
+        `;
+        row.querySelector('input').addEventListener('change', (e) => {
+            setNotificationPreference(category.id, e.target.checked);
+        });
+        listEl.appendChild(row);
+    });
+}
+
+async function handlePendingNotificationAction() {
+    const pending = sessionStorage.getItem('pendingNotificationAction');
+    if (!pending) return;
+    sessionStorage.removeItem('pendingNotificationAction');
+    
+    try {
+        const { action, data } = JSON.parse(pending);
+        await handleNotificationAction(action, data);
+    } catch (error) {
+        console.error('Error handling notification action:', error);
+    }
+}
+
 async function updatePushSubscription(subscription) {
     try {
+        const categories = getEnabledNotificationCategories();
+        if (categories.length === 0) {
+            // Everything turned off in notification settings
+            await api.unsubscribePush(subscription.endpoint);
+            console.log('✅ Push notifications turned off for this device');
+            return;
+        }
+        
         const subscriptionData = {
             endpoint: subscription.endpoint,
             keys: {
                 p256dh: arrayBufferToBase64(subscription.getKey('p256dh')),
                 auth: arrayBufferToBase64(subscription.getKey('auth'))
             },
-            user_agent: navigator.userAgent
+            user_agent: navigator.userAgent,
+            categories
         };
         
         console.log('📤 Sending subscription to backend...');
@@ -1459,6 +2110,10 @@ async function sendProfileNotification() {
             return;
         }
         
+        if (!getNotificationPreferences().profile_qr) {
+            return;
+        }
+        
         if (!pushSubscriptionEndpoint) {
             console.warn('⚠️ Cannot send notification: No push subscription endpoint');
             // Try to get subscription
@@ -1734,14 +2389,16 @@ async function handleRequestOTP() {
         console.error('OTP request error:', error);
         
         // Handle rate limiting (429 status)
-        if (error.status === 429 || error.message?.includes('wait') || error.message?.includes('Too many')) {
+        if (error instanceof RateLimitedError) {
             const errorMsg = error.message || 'Please wait before requesting another OTP';
             showToast(errorMsg, 'error');
             
-            // Extract wait time from error message if available
+            // Wait time from Retry-After, else from the message if it has one
             const waitMatch = errorMsg.match(/(\d+)\s*seconds?/i);
-            if (waitMatch) {
-                const waitSeconds = parseInt(waitMatch[1]);
+            const waitSeconds = error.retryAfter !== null
+                ? Math.ceil(error.retryAfter / 1000)
+                : (waitMatch ? parseInt(waitMatch[1]) : null);
+            if (waitSeconds) {
                 otpResendWaitTime = waitSeconds;
                 startResendTimer();
             }
@@ -2220,14 +2877,15 @@ async function handleEmailSignUp() {
 async function loadInitialData() {
     try {
         // Load current event from localStorage
-        const savedEventId = localStorage.getItem('currentEventId');
+        const savedEventId = localStorage.getItem(accountStorageKey('currentEventId'));
         if (savedEventId && savedEventId !== 'undefined' && savedEventId !== 'null') {
             try {
-                currentEvent = await api.getEvent(savedEventId);
+                currentEvent = await getEventOrPending(savedEventId);
+                localStorage.setItem(accountStorageKey('currentEventId'), currentEvent.id);
                 updateCurrentEventBanner();
             } catch (error) {
                 console.error('Failed to load saved event:', error);
-                localStorage.removeItem('currentEventId');
+                localStorage.removeItem(accountStorageKey('currentEventId'));
             }
         }
 
@@ -2235,9 +2893,483 @@ async function loadInitialData() {
         if (currentUser) {
             await loadProfileQR();
         }
-    } catch (error) {
-        console.error('Error loading initial data:', error);
-    }
+        
+        // Content shared into the app, or a notification tapped, while logged out or before it loaded
+        handlePendingShare();
+        handlePendingNotificationAction();
+        updateNotificationBadge();
+    } catch (error) {
+        console.error('Error loading initial data:', error);
+    }
+}
+
+// Live updates
+// Cached lists are shown at once and refreshed in the background (see api.js);
+// when the refresh brings different data, re-render what's on screen.
+function isViewVisible(viewName) {
+    const view = document.getElementById(`${viewName}View`);
+    return !!view && !view.classList.contains('hidden');
+}
+
+function initLiveUpdates() {
+    subscribeToApi('/contacts', () => {
+        // Re-run with the current filters; the fresh response is cached now
+        if (isViewVisible('contacts')) loadContacts();
+    });
+    subscribeToApi('/events', (events) => {
+        showEvents(events).catch(error => console.error('Error showing updated events:', error));
+    });
+    subscribeToApi('/profile', (profile) => {
+        if (isViewVisible('profile')) displayProfile(profile);
+    });
+}
+
+// API cache debug panel (DEBUG builds show a button on the profile; also callable from the console)
+function formatCacheBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatCacheAge(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    return hours < 24 ? `${hours} h ago` : `${Math.floor(hours / 24)} d ago`;
+}
+
+async function showApiCacheDebugPanel() {
+    document.getElementById('apiCacheDebugModal')?.remove();
+
+    let stats;
+    try {
+        stats = await getCacheStats();
+    } catch (error) {
+        console.error('Error reading API cache:', error);
+        showToast('Could not read the API cache', 'error');
+        return;
+    }
+    const entries = stats.entries.sort((a, b) => b.lastAccess - a.lastAccess);
+    const now = Date.now();
+
+    const rows = entries.map(entry => `
+        <div class="api-cache-entry" data-key="${escapeHtml(entry.key)}" style="padding: 10px 0; border-bottom: 1px solid var(--border, #eee);">
+            <div style="font-family: monospace; font-size: 13px; word-break: break-all;">${escapeHtml(entry.endpoint)}</div>
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px; margin-top: 4px;">
+                <span style="font-size: 12px; color: var(--text-secondary, #666);">
+                    ${formatCacheBytes(entry.size)} · fetched ${formatCacheAge(now - entry.timestamp)} ·
+                    <span style="color: ${entry.fresh ? '#10b981' : '#f59e0b'};">${entry.fresh ? 'fresh' : 'stale'}</span>
+                    (TTL ${Math.round(entry.ttl / 60000)} min)${entry.etag ? ' · ETag' : entry.lastModified ? ' · Last-Modified' : ''}
+                </span>
+                <button type="button" class="btn-small btn-secondary" data-action="delete">Delete</button>
+            </div>
+        </div>
+    `).join('');
+
+    const modal = document.createElement('div');
+    modal.id = 'apiCacheDebugModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 600px;">
+            <div class="modal-header">
+                <h3>API cache</h3>
+                <button class="modal-close" type="button" data-action="close">&times;</button>
+            </div>
+            <div class="modal-body">
+                <p style="margin-bottom: 12px;">${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} · ${formatCacheBytes(stats.totalSize)} of ${formatCacheBytes(stats.budget)}, most recently used first</p>
+                ${rows || '<p>The cache is empty.</p>'}
+                ${entries.length ? '<div style="margin-top: 16px;"><button type="button" class="btn-primary" data-action="clear-all">Clear all</button></div>' : ''}
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    modal.addEventListener('click', async (e) => {
+        const action = e.target.dataset && e.target.dataset.action;
+        if (e.target === modal || action === 'close') {
+            modal.remove();
+            return;
+        }
+        if (action === 'clear-all') {
+            await clearAllCache();
+            showApiCacheDebugPanel();
+        } else if (action === 'delete') {
+            await deleteCacheEntry(e.target.closest('.api-cache-entry').dataset.key);
+            showApiCacheDebugPanel();
+        }
+    });
+}
+
+// Accounts
+// Several accounts can stay signed in on one device (see api.js). Switching makes
+// another one active and reloads, so nothing of the previous account stays in memory.
+function switchToAccount(accountId) {
+    setActiveAccount(accountId);
+    location.reload();
+}
+
+// Back to the login screen without signing the current account out
+function addAccount() {
+    setActiveAccount(null);
+    location.reload();
+}
+
+// Another tab switched accounts - follow it rather than mix two accounts' data
+function initAccountSwitching() {
+    window.addEventListener('storage', (e) => {
+        if (e.key === ACTIVE_ACCOUNT_KEY) location.reload();
+    });
+}
+
+// Stop an account's pushes to this device. The browser subscription itself stays:
+// the other signed-in accounts receive through it too.
+async function unsubscribeAccountPush(account) {
+    if (!account || !account.token || !('serviceWorker' in navigator) || !('PushManager' in window)) return;
+    try {
+        const registration = await navigator.serviceWorker.getRegistration();
+        const subscription = registration && await registration.pushManager.getSubscription();
+        if (!subscription) return;
+        // Inactive accounts send their own token
+        const isActive = String(account.user.id) === String(getUserIdForCache());
+        await api.unsubscribePush(subscription.endpoint, isActive ? {} : {
+            skipAuth: true,
+            headers: { 'Authorization': `Bearer ${account.token}` },
+        });
+    } catch (error) {
+        console.warn('Could not turn off push notifications for the account:', error);
+    }
+}
+
+function renderAccountRow(account, detail = '') {
+    const user = account.user || {};
+    const name = user.name || user.email || 'Account';
+    const avatar = user.profile_photo_url
+        ? `<img src="${escapeHtml(user.profile_photo_url)}" alt="" style="width: 40px; height: 40px; border-radius: 50%; object-fit: cover; flex-shrink: 0;">`
+        : `<div style="width: 40px; height: 40px; border-radius: 50%; background: var(--primary); color: white; display: flex; align-items: center; justify-content: center; font-weight: 600; flex-shrink: 0;">${escapeHtml(name.charAt(0).toUpperCase())}</div>`;
+    return `
+        <div style="display: flex; align-items: center; gap: 12px; min-width: 0;">
+            ${avatar}
+            <div style="min-width: 0;">
+                <div style="font-weight: 600; color: var(--text-primary);">${escapeHtml(name)}</div>
+                <div style="font-size: 13px; color: var(--text-secondary); overflow: hidden; text-overflow: ellipsis;">${escapeHtml(user.email || '')}${detail}</div>
+            </div>
+        </div>
+    `;
+}
+
+// "Continue as" on the login screen, for accounts still signed in on this device
+function renderSignedInAccounts() {
+    const container = document.getElementById('signedInAccounts');
+    if (!container) return;
+    
+    const accounts = listAccounts();
+    container.classList.toggle('hidden', accounts.length === 0);
+    if (accounts.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    container.innerHTML = `
+        <p style="font-size: 13px; color: var(--text-secondary); margin-bottom: 8px; font-weight: 500;">Continue as</p>
+        ${accounts.map(account => `
+            <button type="button" class="auth-btn" data-account-id="${escapeHtml(String(account.user.id))}" style="width: 100%; margin-bottom: 8px; justify-content: flex-start;">
+                ${renderAccountRow(account, account.token ? '' : ' · Signed out')}
+            </button>
+        `).join('')}
+        <p style="font-size: 13px; color: var(--text-secondary); margin-top: 8px; text-align: center;">or sign in to another account</p>
+    `;
+    container.querySelectorAll('[data-account-id]').forEach(button => {
+        button.addEventListener('click', () => {
+            const account = getAccounts()[button.dataset.accountId];
+            if (account && account.token) {
+                switchToAccount(button.dataset.accountId);
+                return;
+            }
+            // Its session ended - sign in again with the same email
+            ['emailInput', 'otpEmailInput'].forEach(id => {
+                const input = document.getElementById(id);
+                if (input && account && account.user.email) input.value = account.user.email;
+            });
+            document.getElementById('emailInput')?.focus();
+        });
+    });
+}
+
+function showAccountSwitcher() {
+    document.getElementById('accountSwitcherModal')?.remove();
+    
+    const activeId = String(getUserIdForCache());
+    const rows = listAccounts().map(account => {
+        const accountId = String(account.user.id);
+        const isActive = accountId === activeId;
+        return `
+            <div class="account-row" data-account-id="${escapeHtml(accountId)}" style="display: flex; align-items: center; justify-content: space-between; gap: 12px; padding: 12px 0; border-bottom: 1px solid var(--border, #eee); ${isActive ? '' : 'cursor: pointer;'}">
+                ${renderAccountRow(account, isActive ? ' · Current' : (account.token ? '' : ' · Signed out'))}
+                ${isActive ? '' : `<button type="button" class="btn-small btn-secondary" data-action="remove">${account.token ? 'Sign out' : 'Remove'}</button>`}
+            </div>
+        `;
+    }).join('');
+    
+    const modal = document.createElement('div');
+    modal.id = 'accountSwitcherModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 420px;">
+            <div class="modal-header">
+                <h3>Accounts</h3>
+                <button class="modal-close" type="button" data-action="close">&times;</button>
+            </div>
+            <div class="modal-body">
+                ${rows}
+                <div style="margin-top: 16px;"><button type="button" class="btn-primary" data-action="add">Add account</button></div>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    
+    modal.addEventListener('click', async (e) => {
+        const action = e.target.dataset && e.target.dataset.action;
+        if (e.target === modal || action === 'close') {
+            modal.remove();
+            return;
+        }
+        if (action === 'add') {
+            addAccount();
+            return;
+        }
+        
+        const row = e.target.closest('.account-row');
+        if (!row || row.dataset.accountId === activeId) return;
+        const accountId = row.dataset.accountId;
+        
+        if (action === 'remove') {
+            const account = getAccounts()[accountId];
+            const name = account.user.name || account.user.email;
+            if (!confirm(account.token ? `Sign ${name} out of this device?` : `Remove ${name} from this device?`)) return;
+            if (account.token) {
+                await unsubscribeAccountPush(account);
+                try {
+                    await api.revokeSession('current', {
+                        skipAuth: true,
+                        headers: { 'Authorization': `Bearer ${account.token}` },
+                    });
+                } catch (error) {
+                    console.warn('Could not revoke the session on the server:', error.message);
+                }
+            }
+            await removeAccount(accountId);
+            showAccountSwitcher();
+        } else {
+            switchToAccount(accountId);
+        }
+    });
+}
+
+// Sessions
+// Every device the account is logged in on. Revoking a session also unsubscribes
+// that device's push subscription, so a lost phone stops showing notifications.
+function describeSession(session) {
+    const browser = [session.browser, session.os].filter(Boolean).join(' on ');
+    const location = session.location || [session.city, session.country].filter(Boolean).join(', ');
+    const lastSeen = session.current
+        ? 'Active now'
+        : (session.last_seen_at ? `Last seen ${formatNotificationTime(Date.parse(session.last_seen_at))}` : 'Last seen unknown');
+    return {
+        device: session.device || 'Unknown device',
+        details: [browser, location, lastSeen].filter(Boolean).join(' · ')
+    };
+}
+
+async function loadSessions() {
+    const listEl = document.getElementById('sessionsList');
+    if (!listEl) return;
+    
+    let sessions;
+    try {
+        sessions = await api.getSessions();
+    } catch (error) {
+        console.error('Error loading sessions:', error);
+        listEl.innerHTML = `<p style="text-align: center; color: var(--text-secondary); padding: 40px 20px;">${isNetworkError(error) ? 'Sessions can\'t be loaded offline' : 'Could not load sessions'}</p>`;
+        return;
+    }
+    
+    // This device first, then the most recently used
+    sessions.sort((a, b) => (b.current ? 1 : 0) - (a.current ? 1 : 0) || Date.parse(b.last_seen_at || 0) - Date.parse(a.last_seen_at || 0));
+    listEl.innerHTML = '';
+    sessions.forEach(session => {
+        const { device, details } = describeSession(session);
+        const item = document.createElement('div');
+        item.className = `session-item${session.current ? ' current' : ''}`;
+        item.innerHTML = `
+            <div style="flex: 1; min-width: 0;">
+                <div class="session-device" style="font-size: 15px; font-weight: 600; color: var(--text-primary);"></div>
+                <div class="session-details" style="font-size: 13px; color: var(--text-secondary); margin-top: 4px;"></div>
+            </div>
+            ${session.current
+                ? '<span style="font-size: 12px; font-weight: 600; color: var(--primary);">This device</span>'
+                : '<button type="button" class="btn-small btn-secondary">Log out</button>'}
+        `;
+        item.querySelector('.session-device').textContent = device;
+        item.querySelector('.session-details').textContent = details;
+        item.querySelector('button')?.addEventListener('click', () => revokeSession(session));
+        listEl.appendChild(item);
+    });
+}
+
+// The device's subscription may already be gone (it unsubscribed, or the browser expired it)
+async function unsubscribeSessionPush(session) {
+    if (!session.push_endpoint) return;
+    try {
+        await api.unsubscribePush(session.push_endpoint);
+    } catch (error) {
+        if (!(error instanceof NotFoundError)) throw error;
+    }
+}
+
+async function revokeSession(session) {
+    const { device } = describeSession(session);
+    if (!confirm(`Log out ${device}?`)) return;
+    
+    try {
+        await unsubscribeSessionPush(session);
+        await api.revokeSession(session.id);
+        showToast(`Logged out ${device}`, 'success');
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        showToast(error.message || 'Failed to log out the device', 'error');
+    }
+    await loadSessions();
+}
+
+async function logoutEverywhere() {
+    if (!confirm('Log out on every device, this one included?')) return;
+    
+    try {
+        const sessions = await api.getSessions();
+        for (const session of sessions) {
+            await unsubscribeSessionPush(session);
+        }
+        await api.revokeAllSessions();
+    } catch (error) {
+        console.error('Error logging out everywhere:', error);
+        showToast(error.message || 'Failed to log out everywhere', 'error');
+        return;
+    }
+    showToast('Logged out on every device', 'success');
+    await signOutActiveAccount({ server: false });
+}
+
+// Service worker updates
+// A new version installs in the background and waits; we show a banner and switch
+// (with a reload) only when the user asks, so script.js and api.js never mismatch.
+let reloadingForUpdate = false;
+let serviceWorkerRegistration = null;
+
+// The page registers sw.js once; push, update checks and background sync
+// (offline-queue.js, via navigator.serviceWorker.ready) share the registration
+function registerServiceWorker() {
+    if (!serviceWorkerRegistration) {
+        serviceWorkerRegistration = navigator.serviceWorker.register('/sw.js').catch(error => {
+            serviceWorkerRegistration = null;
+            throw error;
+        });
+    }
+    return serviceWorkerRegistration;
+}
+
+async function initServiceWorkerUpdates() {
+    if (!('serviceWorker' in navigator)) return;
+    
+    try {
+        const registration = await registerServiceWorker();
+        
+        // An update installed during an earlier visit is still waiting
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdateBanner(registration.waiting);
+        }
+        
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                // With no controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdateBanner(worker);
+                }
+            });
+        });
+        
+        // The new worker took over - reload so every script comes from the same version.
+        // The first install also claims the page, but then there is nothing to reload.
+        const hadController = !!navigator.serviceWorker.controller;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloadingForUpdate || !hadController) return;
+            reloadingForUpdate = true;
+            window.location.reload();
+        });
+        
+        // Look for new deploys while the app stays open
+        setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                registration.update().catch(() => {});
+            }
+        });
+    } catch (error) {
+        console.warn('Service worker update checks unavailable:', error);
+    }
+}
+
+async function showUpdateBanner(worker) {
+    if (document.getElementById('updateBanner')) return;
+    
+    // The pending-changes note is a nicety - an unreadable queue mustn't hide the update
+    let pendingCount = 0;
+    if (typeof offlineQueue !== 'undefined') {
+        try {
+            pendingCount = (await offlineQueue.getQueue()).length;
+        } catch (error) {
+            console.warn('Could not count unsynced changes for the update banner:', error);
+        }
+    }
+    if (document.getElementById('updateBanner')) return;
+    
+    const banner = document.createElement('div');
+    banner.id = 'updateBanner';
+    banner.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        background: var(--primary, #667eea);
+        color: white;
+        padding: 12px 16px;
+        z-index: 10001;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        gap: 12px;
+        flex-wrap: wrap;
+        font-size: 14px;
+        box-shadow: 0 2px 8px rgba(0,0,0,0.15);
+    `;
+    banner.innerHTML = `
+        <span>🔄 Update available.${pendingCount > 0 ? ` Your ${pendingCount} unsynced change${pendingCount !== 1 ? 's are' : ' is'} kept and will sync after the update.` : ''}</span>
+        <button id="updateBannerReload" class="btn-small" style="background: white; color: var(--primary, #667eea); border: none;">Reload</button>
+        <button id="updateBannerDismiss" class="btn-small" style="background: transparent; color: white; border: 1px solid rgba(255,255,255,0.6);">Later</button>
+    `;
+    document.body.appendChild(banner);
+    
+    document.getElementById('updateBannerDismiss').addEventListener('click', () => banner.remove());
+    document.getElementById('updateBannerReload').addEventListener('click', async (e) => {
+        e.currentTarget.disabled = true;
+        e.currentTarget.textContent = 'Updating...';
+        // Queued items live in IndexedDB and survive the switch; just don't switch mid-sync
+        if (typeof offlineQueue !== 'undefined' && offlineQueue.whenSyncIdle) {
+            await offlineQueue.whenSyncIdle();
+        }
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    });
 }
 
 // Profile functions
@@ -2289,7 +3421,7 @@ async function loadProfile() {
         console.error('Error loading profile:', error);
         
         // If unauthorized, let the apiRequest handle redirect
-        if (error.message === 'Unauthorized') {
+        if (error instanceof UnauthorizedError) {
             // This will be handled by apiRequest
             return;
         }
@@ -2394,11 +3526,13 @@ function clearQRCache(userId, mode) {
     }
 }
 
+// Only the active account's QR codes; other signed-in accounts keep theirs
 function clearAllQRCache() {
     try {
+        const prefix = `qr_cache_${getUserIdForCache()}_`;
         const keys = Object.keys(localStorage);
         keys.forEach(key => {
-            if (key.startsWith('qr_cache_')) {
+            if (key.startsWith(prefix)) {
                 localStorage.removeItem(key);
             }
         });
@@ -2608,6 +3742,253 @@ function handleOffline() {
     }
 }
 
+// Fetch a contact, falling back to the offline queue for contacts created offline
+async function getContactOrPending(contactId) {
+    if (typeof offlineQueue !== 'undefined' && offlineQueue.isTemporaryId(contactId)) {
+        const serverId = await offlineQueue.resolveId(contactId);
+        if (serverId !== contactId) return api.getContact(serverId);
+        const pending = (await offlineQueue.getPendingContacts()).find(c => c.id === contactId);
+        if (!pending) throw new Error('Contact not found');
+        return pending;
+    }
+    try {
+        return await api.getContact(contactId);
+    } catch (error) {
+        // Contacts from an event downloaded for offline use are still available
+        const offlineContact = isNetworkError(error) ? await findContactInOfflineEvents(contactId) : null;
+        if (offlineContact) return offlineContact;
+        throw error;
+    }
+}
+
+// Events downloaded for offline use: contact details are kept in IndexedDB (an event's
+// contacts easily outgrow localStorage), and their photos and media are pinned in the
+// service worker's media cache. Both belong to the account that downloaded them.
+const OFFLINE_EVENT_DB_NAME = 'pplai_offline_events';
+const OFFLINE_EVENT_STORE = 'events';
+
+function openOfflineEventDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OFFLINE_EVENT_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(OFFLINE_EVENT_STORE, { keyPath: 'key' });
+            store.createIndex('accountId', 'accountId', { unique: false });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function offlineEventStoreRequest(mode, callback) {
+    const db = await openOfflineEventDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(OFFLINE_EVENT_STORE, mode);
+        const request = callback(tx.objectStore(OFFLINE_EVENT_STORE));
+        tx.oncomplete = () => {
+            db.close();
+            resolve(request ? request.result : undefined);
+        };
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// The active account's download of an event is stored under '<accountId>:<eventId>'
+function getOfflineEventKey(eventId) {
+    return `${getUserIdForCache()}:${eventId}`;
+}
+
+async function getOfflineEventSnapshot(eventId) {
+    try {
+        return (await offlineEventStoreRequest('readonly', store => store.get(getOfflineEventKey(eventId)))) || null;
+    } catch (error) {
+        console.warn('Could not read offline event download:', error);
+        return null;
+    }
+}
+
+async function getOfflineEventSnapshots() {
+    try {
+        const accountId = String(getUserIdForCache());
+        return (await offlineEventStoreRequest('readonly', store => store.index('accountId').getAll(accountId))) || [];
+    } catch (error) {
+        console.warn('Could not read offline event downloads:', error);
+        return [];
+    }
+}
+
+async function findContactInOfflineEvents(contactId) {
+    for (const snapshot of await getOfflineEventSnapshots()) {
+        const contact = snapshot.contacts.find(c => String(c.id) === String(contactId));
+        if (contact) return contact;
+    }
+    return null;
+}
+
+// Send a media cache command to the service worker and resolve when it reports 'done'.
+// Rejects when the worker reports an error or goes quiet for MEDIA_CACHE_TIMEOUT.
+const MEDIA_CACHE_TIMEOUT = 2 * 60 * 1000;
+
+async function sendMediaCacheMessage(message, onProgress) {
+    if (!('serviceWorker' in navigator)) throw new Error('Offline downloads need service worker support');
+    const registration = await navigator.serviceWorker.getRegistration();
+    const worker = navigator.serviceWorker.controller || (registration && registration.active);
+    if (!worker) throw new Error('Service worker is not active yet - reload and try again');
+    
+    return new Promise((resolve, reject) => {
+        const channel = new MessageChannel();
+        let timer = null;
+        const finish = (settle, value) => {
+            clearTimeout(timer);
+            channel.port1.close();
+            settle(value);
+        };
+        // Restarted on every progress report, so only a stalled download times out
+        const armTimeout = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => finish(reject, new Error('The service worker stopped responding - try again')), MEDIA_CACHE_TIMEOUT);
+        };
+        channel.port1.onmessage = (e) => {
+            if (e.data.type === 'progress') {
+                armTimeout();
+                if (onProgress) onProgress(e.data);
+            } else if (e.data.type === 'done') {
+                finish(resolve, e.data);
+            } else if (e.data.type === 'error') {
+                finish(reject, new Error(e.data.message || 'The service worker could not update its media cache'));
+            }
+        };
+        armTimeout();
+        worker.postMessage(message, [channel.port2]);
+    });
+}
+
+// Make everyone met at an event available without signal: contact details (with
+// notes and media lists) plus their photos, chat images and voice notes
+async function downloadEventForOffline(eventId, eventName, button = null) {
+    if (!navigator.onLine) {
+        showToast('Connect to the internet to download this event for offline use', 'warning');
+        return;
+    }
+    
+    const setStatus = (text) => {
+        if (button) button.innerHTML = `<span>${text}</span>`;
+    };
+    if (button) button.disabled = true;
+    
+    try {
+        setStatus('Contacts...');
+        const eventContacts = await api.getContacts({ event_id: eventId });
+        const contacts = [];
+        for (const contact of eventContacts) {
+            try {
+                contacts.push(await api.getContact(contact.id));
+            } catch (error) {
+                console.warn('Could not load contact details for offline use:', contact.id, error);
+                contacts.push(contact);
+            }
+        }
+        
+        const mediaUrls = new Set();
+        contacts.forEach(contact => {
+            if (contact.contact_photo_url) mediaUrls.add(contact.contact_photo_url);
+            (contact.media || []).forEach(media => {
+                if (media.file_url) mediaUrls.add(media.file_url);
+            });
+        });
+        
+        setStatus(`Media 0/${mediaUrls.size}`);
+        const result = await sendMediaCacheMessage(
+            { type: 'CACHE_MEDIA', accountId: String(getUserIdForCache()), eventId: String(eventId), urls: [...mediaUrls] },
+            (progress) => setStatus(`Media ${progress.done}/${progress.total}`)
+        );
+        
+        await offlineEventStoreRequest('readwrite', store => store.put({
+            key: getOfflineEventKey(eventId),
+            accountId: String(getUserIdForCache()),
+            eventId: String(eventId),
+            eventName,
+            downloadedAt: new Date().toISOString(),
+            contacts
+        }));
+        
+        showToast(`${eventName || 'Event'} is available offline: ${contacts.length} contact${contacts.length !== 1 ? 's' : ''}, ${result.total - result.failed} media file${result.total - result.failed !== 1 ? 's' : ''}${result.failed > 0 ? ` (${result.failed} failed)` : ''}`, result.failed > 0 ? 'warning' : 'success');
+    } catch (error) {
+        console.error('Error downloading event for offline use:', error);
+        showToast('Could not download event for offline use: ' + error.message, 'error');
+    } finally {
+        if (button) button.disabled = false;
+    }
+}
+
+// Show which of the listed events are downloaded (the downloads are read from IndexedDB
+// after the list renders)
+async function markOfflineEventButtons(container) {
+    const downloaded = new Set((await getOfflineEventSnapshots()).map(snapshot => snapshot.eventId));
+    container.querySelectorAll('.download-offline').forEach(button => {
+        if (!downloaded.has(String(button.dataset.eventId))) return;
+        button.title = 'Available offline - tap to remove the download';
+        const icon = button.querySelector('.download-offline-icon');
+        if (icon) icon.textContent = '✓';
+    });
+}
+
+async function removeEventOfflineDownload(eventId) {
+    try {
+        await offlineEventStoreRequest('readwrite', store => store.delete(getOfflineEventKey(eventId)));
+    } catch (error) {
+        console.error('Error removing offline event download:', error);
+        showToast('Could not remove the offline download', 'error');
+        return;
+    }
+    try {
+        await sendMediaCacheMessage({ type: 'UNPIN_MEDIA', accountId: String(getUserIdForCache()), eventId: String(eventId) });
+    } catch (error) {
+        console.warn('Could not release offline media for event:', error);
+    }
+    showToast('Offline download removed', 'info');
+}
+
+// Forget every event an account downloaded (the account is being removed from this device)
+async function removeAccountOfflineDownloads(accountId) {
+    try {
+        const keys = await offlineEventStoreRequest('readonly', store => store.index('accountId').getAllKeys(String(accountId)));
+        await offlineEventStoreRequest('readwrite', store => {
+            (keys || []).forEach(key => store.delete(key));
+        });
+    } catch (error) {
+        console.error('Error removing the account\'s offline event downloads:', error);
+    }
+    try {
+        await sendMediaCacheMessage({ type: 'UNPIN_MEDIA', accountId: String(accountId) });
+    } catch (error) {
+        console.warn('Could not release the account\'s offline media:', error);
+    }
+}
+
+// Fetch an event, falling back to the offline queue for events created offline
+async function getEventOrPending(eventId) {
+    if (typeof offlineQueue !== 'undefined' && offlineQueue.isTemporaryId(eventId)) {
+        const serverId = await offlineQueue.resolveId(eventId);
+        if (serverId !== eventId) return api.getEvent(serverId);
+        const pending = (await offlineQueue.getPendingEvents()).find(e => e.id === eventId);
+        if (!pending) throw new Error('Event not found');
+        return pending;
+    }
+    return api.getEvent(eventId);
+}
+
+// A record created offline just got its server id - stop using the temporary one
+function handleOfflineIdRemapped(e) {
+    const { tempId, serverId } = e.detail;
+    if (currentEvent && currentEvent.id === tempId) {
+        currentEvent = { ...currentEvent, id: serverId, is_offline: false };
+        localStorage.setItem(accountStorageKey('currentEventId'), serverId);
+        updateCurrentEventBanner();
+    }
+    if (currentViewingContactId === tempId) currentViewingContactId = serverId;
+    if (chatViewContactId === tempId) chatViewContactId = serverId;
+}
+
 // Store failed requests for retry
 const failedRequests = [];
 
@@ -3100,7 +4481,13 @@ async function saveProfile() {
             about_me: about,
         };
 
-        const updated = await api.updateProfile(profileData, photoFile);
+        const upload = photoFile ? showUploadProgress('Uploading photo...') : null;
+        let updated;
+        try {
+            updated = await api.updateProfile(profileData, photoFile, upload ? upload.options : {});
+        } finally {
+            if (upload) upload.done();
+        }
         setCurrentUser(updated);
         currentUser = updated;
         
@@ -3116,6 +4503,10 @@ async function saveProfile() {
         closeModal();
         showToast('Profile updated successfully', 'success');
     } catch (error) {
+        if (error.name === 'AbortError') {
+            showToast('Upload cancelled - profile not saved', 'info');
+            return;
+        }
         showToast('Failed to update profile: ' + error.message, 'error');
     }
 }
@@ -3235,9 +4626,10 @@ async function shareProfile() {
 // Event functions
 let allEvents = []; // Store all events for search filtering
 
-async function importLumaEventFromUrl() {
+// sharedUrl comes from the share target; otherwise the URL is read from the import modal
+async function importLumaEventFromUrl(sharedUrl) {
     const urlInput = document.getElementById('lumaUrlInput');
-    const url = urlInput?.value?.trim();
+    const url = (sharedUrl || urlInput?.value)?.trim();
     
     if (!url || (!url.includes('lu.ma') && !url.includes('luma.com'))) {
         showToast('Please enter a valid Luma event URL (lu.ma or luma.com)', 'error');
@@ -3326,14 +4718,22 @@ async function loadEvents() {
     }
     
     try {
-        allEvents = await api.getEvents();
-        displayEvents(allEvents);
-        updateEventFilter(allEvents);
+        await showEvents(await api.getEvents());
     } catch (error) {
         console.error('Error loading events:', error);
     }
 }
 
+async function showEvents(events) {
+    allEvents = events;
+    // Show events created offline until they sync
+    if (typeof offlineQueue !== 'undefined') {
+        allEvents = [...(await offlineQueue.getPendingEvents()), ...allEvents];
+    }
+    displayEvents(allEvents);
+    updateEventFilter(allEvents);
+}
+
 function filterEvents() {
     const searchInput = document.getElementById('eventsSearchInput');
     const clearBtn = document.getElementById('clearEventsSearch');
@@ -3473,7 +4873,10 @@ function updateEventsClearFiltersButton() {
 
 async function loadEventsForContactForm() {
     try {
-        const events = await api.getEvents();
+        let events = await api.getEvents();
+        if (typeof offlineQueue !== 'undefined') {
+            events = [...(await offlineQueue.getPendingEvents()), ...events];
+        }
         const eventSelect = document.getElementById('contactEvent');
         if (!eventSelect) return;
         
@@ -3484,7 +4887,7 @@ async function loadEventsForContactForm() {
         events.forEach(event => {
             const option = document.createElement('option');
             option.value = event.id;
-            option.textContent = `${event.name}${event.location ? ` - ${event.location}` : ''}${event.start_date ? ` (${formatDate(event.start_date)})` : ''}`;
+            option.textContent = `${event.name}${event.location ? ` - ${event.location}` : ''}${event.start_date ? ` (${formatDate(event.start_date)})` : ''}${event.is_offline ? ' ⏳' : ''}`;
             eventSelect.appendChild(option);
         });
         
@@ -3516,7 +4919,7 @@ function displayEvents(events) {
         return `
         <div class="event-card ${isSelected ? 'event-selected' : ''}" data-event-id="${event.id}">
             <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 12px;">
-                <h3 style="margin: 0; flex: 1;">${event.name}${isSelected ? ' <span style="font-size: 14px; color: var(--primary);">(Selected)</span>' : ''}</h3>
+                <h3 style="margin: 0; flex: 1;">${event.name}${isSelected ? ' <span style="font-size: 14px; color: var(--primary);">(Selected)</span>' : ''}${event.is_offline ? ' <span style="font-size: 12px; color: var(--text-secondary);">⏳ Pending sync</span>' : ''}</h3>
                 <div style="display: flex; gap: 4px; flex-shrink: 0; margin-left: 12px;">
                     <button class="btn-small btn-secondary edit-event" data-event-id="${event.id}" title="Edit" style="display: flex; align-items: center; justify-content: center; padding: 6px 8px;">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
@@ -3578,6 +4981,10 @@ function displayEvents(events) {
                         </svg>
                         <span>CSV</span>
                     </button>
+                    ${event.is_offline ? '' : `<button class="btn-small btn-secondary download-offline" data-event-id="${event.id}" data-event-name="${escapeHtml(event.name)}" title="Download contacts, photos and voice notes for offline use" style="display: flex; align-items: center; gap: 6px; padding: 6px 10px;">
+                        <span class="download-offline-icon">⬇</span>
+                        <span>Offline</span>
+                    </button>`}
                 </div>
             </div>
         </div>
@@ -3630,6 +5037,23 @@ function displayEvents(events) {
         });
     });
 
+    markOfflineEventButtons(container);
+    container.querySelectorAll('.download-offline').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            const button = e.currentTarget;
+            const eventId = button.dataset.eventId;
+            if (await getOfflineEventSnapshot(eventId)) {
+                if (confirm('Remove the offline download for this event?')) {
+                    await removeEventOfflineDownload(eventId);
+                    await loadEvents();
+                }
+            } else {
+                await downloadEventForOffline(eventId, button.dataset.eventName, button);
+                await loadEvents();
+            }
+        });
+    });
+
     container.querySelectorAll('.view-contacts').forEach(btn => {
         btn.addEventListener('click', (e) => {
             const button = e.currentTarget || e.target.closest('.view-contacts');
@@ -3665,11 +5089,16 @@ function displayEvents(events) {
             }
             if (confirm('Are you sure you want to delete this event?')) {
                 try {
-                    await api.deleteEvent(eventId);
+                    if (offlineQueue.isTemporaryId(eventId)) {
+                        // Created offline and never synced - dropping it from the queue deletes it
+                        await offlineQueue.discardPending(eventId);
+                    } else {
+                        await api.deleteEvent(eventId);
+                    }
                     await loadEvents();
                     if (currentEvent && currentEvent.id === eventId) {
                         currentEvent = null;
-                        localStorage.removeItem('currentEventId');
+                        localStorage.removeItem(accountStorageKey('currentEventId'));
                         updateCurrentEventBanner();
                     }
                 } catch (error) {
@@ -3700,6 +5129,8 @@ async function openEventModal(eventData = null) {
     if (!modal) return;
     
     editingEventId = eventData ? eventData.id : null;
+    // Remember what the event looked like so offline edits can be checked for conflicts on sync
+    editingEventSnapshot = eventData && eventData.id ? { ...eventData } : null;
     
     // Update modal title
     const modalTitle = document.getElementById('eventModalTitle');
@@ -3779,7 +5210,7 @@ async function openEventModal(eventData = null) {
 
 async function editEvent(eventId) {
     try {
-        const event = await api.getEvent(eventId);
+        const event = await getEventOrPending(eventId);
         await openEventModal(event);
     } catch (error) {
         showToast('Failed to load event for editing: ' + error.message, 'error');
@@ -3814,10 +5245,10 @@ async function saveEvent() {
         
     try {
         if (editingEventId) {
-            // Update existing event
-            if (!navigator.onLine) {
+            // Update existing event (events created offline are edited in the queue)
+            if (!navigator.onLine || offlineQueue.isTemporaryId(editingEventId)) {
                 // Save to offline queue
-                offlineQueue.addEvent(eventData, true, editingEventId);
+                await offlineQueue.addEvent(eventData, true, editingEventId, editingEventSnapshot);
                 alert('Event update saved offline. It will sync when you\'re back online.');
                 closeModal();
                 editingEventId = null;
@@ -3830,7 +5261,7 @@ async function saveEvent() {
             // Create new event
             if (!navigator.onLine) {
                 // Save to offline queue
-                offlineQueue.addEvent(eventData, false);
+                await offlineQueue.addEvent(eventData, false);
                 alert('Event saved offline. It will sync when you\'re back online.');
                 closeModal();
                 editingEventId = null;
@@ -3846,13 +5277,13 @@ async function saveEvent() {
         await loadEvents();
     } catch (error) {
         // If API fails due to network, try offline queue
-        if (error.message.includes('Failed to fetch') || error.message.includes('Network')) {
+        if (isNetworkError(error)) {
             console.warn('Network error, saving to offline queue:', error);
             if (editingEventId) {
-                offlineQueue.addEvent(eventData, true, editingEventId);
+                await offlineQueue.addEvent(eventData, true, editingEventId, editingEventSnapshot);
                 alert('Event update saved offline. It will sync when you\'re back online.');
             } else {
-                offlineQueue.addEvent(eventData, false);
+                await offlineQueue.addEvent(eventData, false);
                 alert('Event saved offline. It will sync when you\'re back online.');
             }
             closeModal();
@@ -3866,8 +5297,8 @@ async function saveEvent() {
 
 async function selectEvent(eventId) {
     try {
-        currentEvent = await api.getEvent(eventId);
-        localStorage.setItem('currentEventId', eventId);
+        currentEvent = await getEventOrPending(eventId);
+        localStorage.setItem(accountStorageKey('currentEventId'), eventId);
         updateCurrentEventBanner();
         // Reload events to show updated selection state
         await loadEvents();
@@ -3904,7 +5335,7 @@ function updateCurrentEventBanner() {
 
 async function unselectEvent() {
     currentEvent = null;
-    localStorage.removeItem('currentEventId');
+    localStorage.removeItem(accountStorageKey('currentEventId'));
     updateCurrentEventBanner();
     // Reload events to show updated selection state
     await loadEvents();
@@ -3985,9 +5416,26 @@ async function loadContacts() {
         }
         
         allContacts = await api.getContacts(filters);
+        // Show contacts created offline until they sync (only event filtering applies to them)
+        const onlyEventFilter = Object.keys(filters).every(key => key === 'event_id');
+        if (typeof offlineQueue !== 'undefined' && onlyEventFilter) {
+            const pendingContacts = (await offlineQueue.getPendingContacts())
+                .filter(contact => !filters.event_id || contact.event_id === filters.event_id);
+            allContacts = [...pendingContacts, ...allContacts];
+        }
         filterContactsBySearch(); // Apply search filter if any
     } catch (error) {
         console.error('Error loading contacts:', error);
+        // Offline with an event filter: fall back to the event's offline download
+        const eventId = document.getElementById('eventFilter')?.value || 'all';
+        const snapshot = eventId !== 'all' && isNetworkError(error) ? await getOfflineEventSnapshot(eventId) : null;
+        if (snapshot) {
+            const pendingContacts = typeof offlineQueue !== 'undefined'
+                ? (await offlineQueue.getPendingContacts()).filter(contact => contact.event_id === eventId)
+                : [];
+            allContacts = [...pendingContacts, ...snapshot.contacts];
+            filterContactsBySearch();
+        }
     }
 }
 
@@ -4116,7 +5564,7 @@ function displayContacts(contacts) {
             <input type="checkbox" class="contact-checkbox" data-contact-id="${contact.id}" style="position: absolute; top: 12px; left: 12px; width: 20px; height: 20px; z-index: 10; ${selectionMode ? 'display: block;' : 'display: none;'}">
             ${contact.contact_photo_url ? `<img src="${contact.contact_photo_url}" alt="${contact.name}" class="contact-photo">` : ''}
             <div class="contact-info" style="flex: 1;">
-                <h3>${contact.name}</h3>
+                <h3>${contact.name}${contact.is_offline ? ' <span style="font-size: 12px; font-weight: normal; color: var(--text-secondary);">⏳ Pending sync</span>' : ''}</h3>
                 ${contact.role_company ? `<p class="contact-role">${contact.role_company}</p>` : ''}
                 ${contact.email ? `<p class="contact-email">📧 ${contact.email}</p>` : ''}
                 ${contact.mobile ? `<p class="contact-mobile">📱 ${contact.mobile}</p>` : ''}
@@ -4192,7 +5640,19 @@ function displayContacts(contacts) {
             const contactId = button.dataset.contactId;
             
             try {
-                const updatedContact = await api.toggleContactFavorite(contactId);
+                let updatedContact;
+                let queuedOffline = false;
+                try {
+                    if (!navigator.onLine || offlineQueue.isTemporaryId(contactId)) throw new OfflineError('Network unavailable');
+                    updatedContact = await api.toggleContactFavorite(contactId);
+                } catch (error) {
+                    if (!isNetworkError(error)) throw error;
+                    // Flip locally and replay the toggle once we're back online
+                    await offlineQueue.addContactOperation('favorite', contactId);
+                    updatedContact = { is_favorite: !button.classList.contains('favorite-active') };
+                    queuedOffline = true;
+                    showToast('Favorite saved offline. It will sync when you\'re back online.', 'info');
+                }
                 // Update the button state
                 if (updatedContact.is_favorite) {
                     button.classList.add('favorite-active');
@@ -4203,6 +5663,7 @@ function displayContacts(contacts) {
                     button.querySelector('svg').setAttribute('fill', 'none');
                     button.title = 'Add to favorites';
                 }
+                if (queuedOffline) return; // Cached list still has the old state
                 // Reload contacts to reflect the change
                 await loadContacts();
             } catch (error) {
@@ -4812,23 +6273,39 @@ async function bulkDeleteContacts() {
     
     if (!confirmed) return;
     
-    if (!navigator.onLine) {
-        alert('Cannot delete contacts while offline. Please connect to the internet.');
-        return;
-    }
-    
     try {
         let deletedCount = 0;
+        let queuedCount = 0;
         for (const contactId of selectedIds) {
             try {
+                if (offlineQueue.isTemporaryId(contactId)) {
+                    // Never synced - dropping it from the queue deletes it
+                    await offlineQueue.addContactOperation('delete', contactId);
+                    deletedCount++;
+                    continue;
+                }
+                if (!navigator.onLine) {
+                    await offlineQueue.addContactOperation('delete', contactId);
+                    queuedCount++;
+                    continue;
+                }
                 await api.deleteContact(contactId);
                 deletedCount++;
             } catch (error) {
-                console.error(`Failed to delete contact ${contactId}:`, error);
+                if (isNetworkError(error)) {
+                    await offlineQueue.addContactOperation('delete', contactId);
+                    queuedCount++;
+                } else {
+                    console.error(`Failed to delete contact ${contactId}:`, error);
+                }
             }
         }
         
-        alert(`Deleted ${deletedCount} of ${selectedIds.length} contacts`);
+        if (queuedCount > 0) {
+            alert(`Deleted ${deletedCount} of ${selectedIds.length} contacts. ${queuedCount} deletion(s) saved offline and will sync when you're back online.`);
+        } else {
+            alert(`Deleted ${deletedCount} of ${selectedIds.length} contacts`);
+        }
         
         // Exit selection mode and reload
         selectionMode = false;
@@ -4961,6 +6438,7 @@ function updateSuggestedTags() {
 
 let editingContactId = null;
 let editingEventId = null;
+let editingEventSnapshot = null;
 
 // Helper function to get country code select HTML
 function getCountryCodeSelectHTML(selectedCode = '+91', index = 0) {
@@ -5374,7 +6852,7 @@ async function editContact() {
         document.getElementById('contactViewModal')?.classList.add('hidden');
         
         // Fetch full contact data
-        const contact = await api.getContact(currentViewingContactId);
+        const contact = await getContactOrPending(currentViewingContactId);
         
         // Open edit modal with contact data
         await openContactModal(contact);
@@ -5395,15 +6873,21 @@ async function deleteContact(contactId, contactName) {
     if (!confirmed) return;
     
     try {
-        // Check if offline
-        if (!navigator.onLine) {
-            alert('Cannot delete contact while offline. Please connect to the internet.');
-            return;
+        let queuedOffline = false;
+        if (!navigator.onLine || offlineQueue.isTemporaryId(contactId)) {
+            await offlineQueue.addContactOperation('delete', contactId);
+            queuedOffline = !offlineQueue.isTemporaryId(contactId);
+        } else {
+            try {
+                // Delete contact via API
+                await api.deleteContact(contactId);
+            } catch (error) {
+                if (!isNetworkError(error)) throw error;
+                await offlineQueue.addContactOperation('delete', contactId);
+                queuedOffline = true;
+            }
         }
         
-        // Delete contact via API
-        await api.deleteContact(contactId);
-        
         // Close the view modal
         document.getElementById('contactViewModal')?.classList.add('hidden');
         
@@ -5415,7 +6899,11 @@ async function deleteContact(contactId, contactName) {
         await loadContacts();
         
         // Show success message
-        alert(`Contact "${contactName}" has been deleted successfully.`);
+        if (queuedOffline) {
+            alert(`Deletion of "${contactName}" saved offline. It will be synced when you're back online.`);
+        } else {
+            alert(`Contact "${contactName}" has been deleted successfully.`);
+        }
     } catch (error) {
         alert('Failed to delete contact: ' + error.message);
     }
@@ -5610,7 +7098,7 @@ async function handleAiFollowup(contactId, contact, type) {
         console.error('Error getting AI follow-up:', error);
         
         // Handle 404 error - contact not found
-        if (error.message && (error.message.includes('404') || error.message.includes('Not Found') || error.message.includes('not found'))) {
+        if (error instanceof NotFoundError) {
             const currentUser = getCurrentUser();
             if (!currentUser) {
                 showToast('🔐 Please login first to use AI follow-up features', 'error');
@@ -6191,19 +7679,41 @@ async function saveContact() {
         const mediaFiles = Array.from(mediaInput?.files || []);
         
         console.log('Saving contact with media files:', mediaFiles.length, mediaFiles.map(f => ({ name: f.name, size: f.size, type: f.type })));
+        
+        // Progress bar only when there's something to upload
+        const startUpload = () => (photoFile || mediaFiles.length)
+            ? showUploadProgress(mediaFiles.length ? `Uploading ${mediaFiles.length + (photoFile ? 1 : 0)} file(s)...` : 'Uploading photo...')
+            : { options: {}, done() {} };
 
         let savedContact;
         if (editingContactId) {
             // Update existing contact - always try API first
             try {
-                savedContact = await api.updateContact(editingContactId, contactData, photoFile, mediaFiles);
+                if (offlineQueue.isTemporaryId(editingContactId)) throw new OfflineError('Network unavailable');
+                const upload = startUpload();
+                try {
+                    savedContact = await api.updateContact(editingContactId, contactData, photoFile, mediaFiles, upload.options);
+                } finally {
+                    upload.done();
+                }
                 closeModal();
                 editingContactId = null;
                 await loadContacts();
                 displayContactProfile(savedContact, false);
             } catch (error) {
-                if (!isOnline) {
-                    alert('Cannot update contact while offline. Please connect to the internet.');
+                if (!isOnline || isNetworkError(error)) {
+                    // Queue the edit and replay it once we're back online (or fold it into a pending create)
+                    await offlineQueue.addContactOperation('update', editingContactId, {
+                        contactData,
+                        photo: photoFile,
+                        media: mediaFiles
+                    });
+                    closeModal();
+                    editingContactId = null;
+                    alert(`Changes to "${contactData.name}" saved offline. They will be synced when you're back online.`);
+                    await loadContacts();
+                } else if (error.name === 'AbortError') {
+                    showToast('Upload cancelled - changes not saved', 'info');
                 } else {
                     alert('Failed to update contact: ' + error.message);
                 }
@@ -6223,14 +7733,19 @@ async function saveContact() {
                 await loadContacts();
             } else {
                 try {
-                    savedContact = await api.createContact(contactData, photoFile, mediaFiles);
+                    const upload = startUpload();
+                    try {
+                        savedContact = await api.createContact(contactData, photoFile, mediaFiles, upload.options);
+                    } finally {
+                        upload.done();
+                    }
                     closeModal();
                     editingContactId = null;
                     await loadContacts();
                     displayContactProfile(savedContact, false);
                 } catch (error) {
                     // If API fails, try to save offline as fallback
-                    if (error.message.includes('Failed to fetch') || error.message.includes('Network')) {
+                    if (isNetworkError(error)) {
                         console.warn('Network error, saving to offline queue:', error);
                         const queueItem = await offlineQueue.addContact(contactData, photoFile, mediaFiles);
                         closeModal();
@@ -6245,7 +7760,9 @@ async function saveContact() {
         }
     } catch (error) {
         console.error('Error saving contact:', error);
-        if (!error.message.includes('offline') && !error.message.includes('Network')) {
+        if (error.name === 'AbortError') {
+            showToast('Upload cancelled - contact not saved', 'info');
+        } else if (!isNetworkError(error)) {
             alert('Failed to save contact: ' + error.message);
         }
     }
@@ -6361,7 +7878,7 @@ function updateProfileCompleteness(profile) {
 
 async function viewContact(contactId) {
     try {
-        const contact = await api.getContact(contactId);
+        const contact = await getContactOrPending(contactId);
         displayContactProfile(contact, false);
     } catch (error) {
         alert('Failed to load contact: ' + error.message);
@@ -6871,7 +8388,32 @@ function addMessageToChat(message, timestamp) {
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+// Send a chat note/attachment, queueing it for later sync if the network is unavailable.
+// Resolves to true when the operation was queued instead of sent.
+async function sendOrQueueContactOperation(operation, contactId, data, send) {
+    try {
+        // Contacts created offline have no server id yet - queue behind their create
+        if (!navigator.onLine || offlineQueue.isTemporaryId(contactId)) throw new OfflineError('Network unavailable');
+        await send();
+        return false;
+    } catch (error) {
+        if (!isNetworkError(error)) throw error;
+        await offlineQueue.addContactOperation(operation, contactId, data);
+        return true;
+    }
+}
+
+// Photo or voice note upload with a progress toast
+async function uploadContactMedia(contactId, file, label) {
+    const upload = showUploadProgress(label);
+    try {
+        return await api.addMediaToContact(contactId, file, upload.options);
+    } finally {
+        upload.done();
+    }
 }
 
 async function sendChatMessage() {
@@ -6888,11 +8430,20 @@ async function sendChatMessage() {
         const sendBtn = document.getElementById('chatSendBtn');
         if (sendBtn) sendBtn.disabled = true;
         
-        await api.addMessageToContact(currentViewingContactId, message);
+        const queuedOffline = await sendOrQueueContactOperation('message', currentViewingContactId, { message },
+            () => api.addMessageToContact(currentViewingContactId, message));
         
         // Clear input
         input.value = '';
         
+        if (queuedOffline) {
+            addMessageToChat(message, '[⏳ Pending sync]');
+            showToast('Note saved offline. It will sync when you\'re back online.', 'info');
+            input.disabled = false;
+            if (sendBtn) sendBtn.disabled = false;
+            return;
+        }
+        
         // Reload contact to get updated context
         const updatedContact = await api.getContact(currentViewingContactId);
         currentViewingContact = updatedContact;
@@ -6983,10 +8534,20 @@ async function uploadChatPhotos(files) {
         const fileArray = Array.from(files);
         const compressedFiles = await compressImages(fileArray);
         
+        let queuedCount = 0;
         for (const file of compressedFiles) {
             if (!file.type.startsWith('image/')) continue;
             
-            await api.addMediaToContact(currentViewingContactId, file);
+            const queued = await sendOrQueueContactOperation('media', currentViewingContactId, { file, mediaKind: 'photo' },
+                () => uploadContactMedia(currentViewingContactId, file, 'Uploading photo...'));
+            if (queued) queuedCount++;
+        }
+        
+        if (queuedCount > 0) {
+            showToast(`${queuedCount} photo(s) saved offline. They will sync when you're back online.`, 'info');
+            const fileInput = document.getElementById('chatPhotoInput');
+            if (fileInput) fileInput.value = '';
+            return;
         }
         
         // Reload contact to get updated media
@@ -7022,6 +8583,10 @@ async function uploadChatPhotos(files) {
         
     } catch (error) {
         console.error('Error uploading photos:', error);
+        if (error.name === 'AbortError') {
+            showToast('Upload cancelled', 'info');
+            return;
+        }
         alert('Failed to upload photos: ' + error.message);
     }
 }
@@ -7074,13 +8639,13 @@ async function openChatView(contactId, contactName) {
     
     // Load contact data
     try {
-        chatViewContact = await api.getContact(contactId);
+        chatViewContact = await getContactOrPending(contactId);
         loadChatViewMessages(chatViewContact);
     } catch (error) {
         console.error('Error loading contact for chat:', error);
         
         // Handle 404 error - contact not found
-        if (error.message && (error.message.includes('404') || error.message.includes('Not Found') || error.message.includes('not found'))) {
+        if (error instanceof NotFoundError) {
             const currentUser = getCurrentUser();
             if (!currentUser) {
                 showToast('🔐 Please login first to use chat features', 'error');
@@ -7207,10 +8772,19 @@ async function sendChatViewMessage() {
         const sendBtn = document.getElementById('chatViewSendBtn');
         if (sendBtn) sendBtn.disabled = true;
         
-        await api.addMessageToContact(chatViewContactId, message);
+        const queuedOffline = await sendOrQueueContactOperation('message', chatViewContactId, { message },
+            () => api.addMessageToContact(chatViewContactId, message));
         
         input.value = '';
         
+        if (queuedOffline) {
+            addMessageToChatView(message, '[⏳ Pending sync]');
+            showToast('Note saved offline. It will sync when you\'re back online.', 'info');
+            input.disabled = false;
+            if (sendBtn) sendBtn.disabled = false;
+            return;
+        }
+        
         // Reload contact
         chatViewContact = await api.getContact(chatViewContactId);
         loadChatViewMessages(chatViewContact);
@@ -7236,20 +8810,34 @@ async function handleChatViewPhotoSelect(e) {
         const fileArray = Array.from(files);
         const compressedFiles = await compressImages(fileArray);
         
+        let queuedCount = 0;
         for (const file of compressedFiles) {
             if (!file.type.startsWith('image/')) continue;
-            await api.addMediaToContact(chatViewContactId, file);
+            const queued = await sendOrQueueContactOperation('media', chatViewContactId, { file, mediaKind: 'photo' },
+                () => uploadContactMedia(chatViewContactId, file, 'Uploading photo...'));
+            if (queued) {
+                queuedCount++;
+                addMediaToChatView('image', URL.createObjectURL(file));
+            }
         }
         
-        // Reload contact
-        chatViewContact = await api.getContact(chatViewContactId);
-        loadChatViewMessages(chatViewContact);
+        if (queuedCount > 0) {
+            showToast(`${queuedCount} photo(s) saved offline. They will sync when you're back online.`, 'info');
+        } else {
+            // Reload contact
+            chatViewContact = await api.getContact(chatViewContactId);
+            loadChatViewMessages(chatViewContact);
+        }
         
         // Clear input
         const fileInput = document.getElementById('chatViewPhotoInput');
         if (fileInput) fileInput.value = '';
     } catch (error) {
         console.error('Error uploading photos:', error);
+        if (error.name === 'AbortError') {
+            showToast('Upload cancelled', 'info');
+            return;
+        }
         alert('Failed to upload photos: ' + error.message);
     }
 }
@@ -7276,12 +8864,22 @@ async function startVoiceRecording() {
             // Upload voice note
             if (chatViewContactId) {
                 try {
-                    await api.addMediaToContact(chatViewContactId, audioFile);
-                    chatViewContact = await api.getContact(chatViewContactId);
-                    loadChatViewMessages(chatViewContact);
+                    const queuedOffline = await sendOrQueueContactOperation('media', chatViewContactId, { file: audioFile, mediaKind: 'voice' },
+                        () => uploadContactMedia(chatViewContactId, audioFile, 'Uploading voice note...'));
+                    if (queuedOffline) {
+                        addMediaToChatView('audio', URL.createObjectURL(audioFile));
+                        showToast('Voice note saved offline. It will sync when you\'re back online.', 'info');
+                    } else {
+                        chatViewContact = await api.getContact(chatViewContactId);
+                        loadChatViewMessages(chatViewContact);
+                    }
                 } catch (error) {
                     console.error('Error uploading voice note:', error);
-                    alert('Failed to upload voice note: ' + error.message);
+                    if (error.name === 'AbortError') {
+                        showToast('Voice note upload cancelled', 'info');
+                    } else {
+                        alert('Failed to upload voice note: ' + error.message);
+                    }
                 }
             }
             
@@ -7813,6 +9411,109 @@ function unescapeVCardValue(value) {
         .replace(/\\\\/g, '\\');
 }
 
+// Web Share Target
+// sw.js stores each share (title, text, url, files) in IndexedDB and opens the app
+// with its id. A vCard becomes a contact, a photo is scanned as a business card and
+// a Luma link is imported as an event.
+const SHARE_DB_NAME = 'pplai_share_target';
+const SHARE_STORE = 'shares';
+
+function takeSharedContent(shareId) {
+    return new Promise((resolve, reject) => {
+        const openRequest = indexedDB.open(SHARE_DB_NAME, 1);
+        openRequest.onupgradeneeded = () => {
+            openRequest.result.createObjectStore(SHARE_STORE, { keyPath: 'id' });
+        };
+        openRequest.onerror = () => reject(openRequest.error);
+        openRequest.onsuccess = () => {
+            const db = openRequest.result;
+            const tx = db.transaction(SHARE_STORE, 'readwrite');
+            const store = tx.objectStore(SHARE_STORE);
+            const getRequest = store.get(shareId);
+            // A share is handled once - remove it together with any left behind
+            store.clear();
+            tx.oncomplete = () => {
+                db.close();
+                resolve(getRequest.result || null);
+            };
+            tx.onerror = () => reject(tx.error);
+        };
+    });
+}
+
+async function handlePendingShare() {
+    const shareId = sessionStorage.getItem('pendingShareTarget');
+    if (!shareId) return;
+    sessionStorage.removeItem('pendingShareTarget');
+    
+    if (shareId === 'failed') {
+        showToast('Could not receive the shared content', 'error');
+        return;
+    }
+    
+    try {
+        const share = await takeSharedContent(shareId);
+        if (!share) {
+            showToast('The shared content is no longer available', 'warning');
+            return;
+        }
+        await handleSharedContent(share);
+    } catch (error) {
+        console.error('Error handling shared content:', error);
+        showToast('Failed to open shared content: ' + error.message, 'error');
+    }
+}
+
+function isVCardFile(file) {
+    const type = (file.type || '').toLowerCase();
+    return type === 'text/vcard' || type === 'text/x-vcard' || type === 'text/directory' ||
+        /\.vcf$/i.test(file.name || '');
+}
+
+async function handleSharedContent(share) {
+    const files = share.files || [];
+    const vcardFile = files.find(isVCardFile);
+    const imageFile = files.find(file => (file.type || '').startsWith('image/'));
+    const sharedText = [share.text, share.url, share.title].filter(Boolean).join('\n');
+    
+    // Contacts apps share a .vcf file; some share the card as text
+    const vcardData = vcardFile ? await vcardFile.text() : (sharedText.includes('BEGIN:VCARD') ? sharedText : null);
+    if (vcardData) {
+        const cards = vcardData.match(/BEGIN:VCARD[\s\S]*?END:VCARD/gi) || [vcardData];
+        if (cards.length > 1) {
+            showToast(`${cards.length} contacts shared - opening the first one`, 'info');
+        }
+        try {
+            await createContactFromVCard(parseVCard(cards[0]));
+        } catch (error) {
+            console.error('Error parsing shared vCard:', error);
+            alert('Error parsing contact card: ' + error.message);
+        }
+        return;
+    }
+    
+    if (imageFile) {
+        await processBusinessCardFile(imageFile);
+        return;
+    }
+    
+    const urlMatch = sharedText.match(/https?:\/\/\S+/i);
+    const sharedUrl = urlMatch ? urlMatch[0] : '';
+    if (sharedUrl.includes('lu.ma') || sharedUrl.includes('luma.com')) {
+        await switchView('events');
+        await importLumaEventFromUrl(sharedUrl);
+        return;
+    }
+    
+    const profileMatch = sharedUrl.match(/\/profile\/([a-f0-9-]+)/i);
+    if (profileMatch) {
+        await loadPublicProfile(profileMatch[1]);
+        return;
+    }
+    
+    showToast('Share a contact card, a business card photo or a Luma link to add it here', 'warning');
+}
+
 async function createContactFromVCard(vcardContact) {
     try {
         // Check if contact already exists
@@ -8029,11 +9730,17 @@ async function processBusinessCardFile(file) {
                 <div class="loading-spinner" style="margin: 0 auto 20px;"></div>
                 <p>Scanning business card...</p>
                 <p style="font-size: 12px; color: #666; margin-top: 10px;">This may take a few seconds</p>
+                <button class="btn-small btn-secondary skip-cloud-ocr" style="display: none; margin: 16px auto 0;">Scan on this device instead</button>
             </div>
         </div>
     `;
     document.body.appendChild(loadingModal);
     
+    // Cloud OCR retries on a bad connection; let the user skip straight to local OCR
+    const cloudOcrController = new AbortController();
+    const skipCloudBtn = loadingModal.querySelector('.skip-cloud-ocr');
+    skipCloudBtn.addEventListener('click', () => cloudOcrController.abort());
+    
     const updateProgress = (message) => {
         const statusEl = loadingModal.querySelector('p');
         if (statusEl) statusEl.textContent = message;
@@ -8058,6 +9765,7 @@ async function processBusinessCardFile(file) {
         cardFileForMedia = preprocessResult?.file || file;
 
         let cloudErrorDetail = null;
+        let cloudUnavailable = false;
 
         if (navigator.onLine) {
             // Only try files that are valid (not null/undefined and have size)
@@ -8075,8 +9783,9 @@ async function processBusinessCardFile(file) {
             for (const candidate of backendFileCandidates) {
                 try {
                     updateProgress('Scanning card (cloud)...');
+                    skipCloudBtn.style.display = 'block';
                     console.log('Attempting cloud OCR with file:', candidate.name, candidate.size, 'bytes');
-                    const result = await api.analyzeBusinessCard(candidate);
+                    const result = await api.analyzeBusinessCard(candidate, { signal: cloudOcrController.signal });
                     if (result) {
                         console.log('Cloud OCR succeeded. Extracted fields:', Object.keys(result.fields || {}));
                         contactInfo = result.fields || null;
@@ -8090,24 +9799,30 @@ async function processBusinessCardFile(file) {
                     break;
                     }
                 } catch (cloudError) {
+                    if (cloudError?.name === 'AbortError') {
+                        console.log('Cloud OCR skipped by user');
+                        break;
+                    }
                     const errorMessage = cloudError?.message || String(cloudError);
                     console.warn('Cloud OCR attempt failed:', errorMessage);
                     cloudErrorDetail = errorMessage;
                     
-                    // If it's a service unavailable error or credentials error, don't try other candidates
-                    if (errorMessage.includes('503') || 
-                        errorMessage.includes('not available') || 
-                        errorMessage.includes('Service Unavailable') ||
-                        errorMessage.includes('credentials were not found') ||
-                        errorMessage.includes('default credentials') ||
-                        errorMessage.includes('authentication')) {
+                    // Service down or not configured (missing cloud credentials come back as 5xx):
+                    // another candidate won't help, and neither will a session problem
+                    if (cloudError instanceof ServiceUnavailableError ||
+                        cloudError instanceof ServerError ||
+                        cloudError instanceof UnauthorizedError ||
+                        cloudError instanceof ForbiddenError ||
+                        isNetworkError(cloudError)) {
                         console.warn('OCR service is unavailable or not configured, will use local Tesseract.js fallback');
+                        cloudUnavailable = true;
                         break;
                     }
                 }
             }
         }
 
+        skipCloudBtn.style.display = 'none';
         if (!contactInfo) {
             updateProgress('Scanning card (offline mode)...');
             console.log('Using local Tesseract OCR fallback');
@@ -8134,10 +9849,10 @@ async function processBusinessCardFile(file) {
 
         if (!contactInfo) {
             // If cloud OCR failed but we tried local OCR, show a more helpful message
-            const extraMessage = cloudErrorDetail && !cloudErrorDetail.includes('credentials')
+            const extraMessage = cloudUnavailable
+                ? `\n\nNote: Cloud OCR is not available right now. Used local Tesseract.js OCR instead.`
+                : cloudErrorDetail
                 ? `\n\nCloud OCR error: ${cloudErrorDetail}`
-                : cloudErrorDetail && cloudErrorDetail.includes('credentials')
-                ? `\n\nNote: Cloud OCR is not configured locally. Used local Tesseract.js OCR instead.`
                 : '';
             alert(`We could not extract information from this card. Please enter details manually.${extraMessage}`);
             return;
@@ -8702,6 +10417,13 @@ async function createNewTag() {
     }
 }
 
+// Tags as last loaded on the management screen, used as the base for offline edits
+let managedTags = [];
+
+function getManagedTag(tagId) {
+    return managedTags.find(tag => String(tag.id) === String(tagId)) || null;
+}
+
 async function loadTagsForManagement() {
     // Check authentication
     const currentUser = getCurrentUser();
@@ -8713,13 +10435,14 @@ async function loadTagsForManagement() {
     
     try {
         const tags = await api.getTagsForManagement();
+        managedTags = tags || [];
         displayTagsForManagement(tags);
     } catch (error) {
         console.error('Error loading tags for management:', error);
         // Show empty state with helpful message
         const container = document.getElementById('tagsList');
         if (container) {
-            if (error.message && error.message.includes('Network error')) {
+            if (isNetworkError(error)) {
                 container.innerHTML = `
                     <div class="empty-state" style="text-align: center; padding: 40px 20px;">
                         <p style="margin-bottom: 12px; color: var(--text-secondary);">
@@ -8935,7 +10658,7 @@ function editTag(tagId, currentName) {
 async function updateTagName(tagId, newName) {
     try {
         if (!navigator.onLine) {
-            offlineQueue.addTag({ name: newName }, 'update', tagId);
+            await offlineQueue.addTag({ name: newName }, 'update', tagId, getManagedTag(tagId));
             await loadTagsForManagement(); // Reload from cache
             alert('Tag update saved offline. It will sync when you\'re back online.');
             return;
@@ -8949,8 +10672,8 @@ async function updateTagName(tagId, newName) {
             await loadAvailableTags();
         }
     } catch (error) {
-        if (error.message.includes('Failed to fetch') || error.message.includes('Network')) {
-            offlineQueue.addTag({ name: newName }, 'update', tagId);
+        if (isNetworkError(error)) {
+            await offlineQueue.addTag({ name: newName }, 'update', tagId, getManagedTag(tagId));
             await loadTagsForManagement(); // Reload from cache
             alert('Tag update saved offline. It will sync when you\'re back online.');
         } else {
@@ -8962,7 +10685,7 @@ async function updateTagName(tagId, newName) {
 async function toggleTagVisibility(tagId, isHidden) {
     try {
         if (!navigator.onLine) {
-            offlineQueue.addTag({ is_hidden: isHidden }, 'hide', tagId);
+            await offlineQueue.addTag({ is_hidden: isHidden }, 'hide', tagId, getManagedTag(tagId));
             await loadTagsForManagement(); // Reload from cache
             alert('Tag visibility change saved offline. It will sync when you\'re back online.');
             return;
@@ -8976,8 +10699,8 @@ async function toggleTagVisibility(tagId, isHidden) {
             await loadAvailableTags();
         }
     } catch (error) {
-        if (error.message.includes('Failed to fetch') || error.message.includes('Network')) {
-            offlineQueue.addTag({ is_hidden: isHidden }, 'hide', tagId);
+        if (isNetworkError(error)) {
+            await offlineQueue.addTag({ is_hidden: isHidden }, 'hide', tagId, getManagedTag(tagId));
             await loadTagsForManagement(); // Reload from cache
             alert('Tag visibility change saved offline. It will sync when you\'re back online.');
         } else {
@@ -8989,7 +10712,7 @@ async function toggleTagVisibility(tagId, isHidden) {
 async function deleteTag(tagId) {
     try {
         if (!navigator.onLine) {
-            offlineQueue.addTag({}, 'delete', tagId);
+            await offlineQueue.addTag({}, 'delete', tagId);
             await loadTagsForManagement(); // Reload from cache
             alert('Tag deletion saved offline. It will sync when you\'re back online.');
             return;
@@ -9003,8 +10726,8 @@ async function deleteTag(tagId) {
             await loadAvailableTags();
         }
     } catch (error) {
-        if (error.message.includes('Failed to fetch') || error.message.includes('Network')) {
-            offlineQueue.addTag({}, 'delete', tagId);
+        if (isNetworkError(error)) {
+            await offlineQueue.addTag({}, 'delete', tagId);
             await loadTagsForManagement(); // Reload from cache
             alert('Tag deletion saved offline. It will sync when you\'re back online.');
         } else {
@@ -9180,6 +10903,42 @@ function closeModal() {
 }
 
 // Toast Notification System
+// Upload progress toast: a progress bar, and the close button cancels the upload.
+// Pass upload.options to an api upload method and call upload.done() when it settles.
+function showUploadProgress(label) {
+    const controller = new AbortController();
+    const toast = showToast(label, 'info', 0);
+    if (!toast) return { options: { signal: controller.signal }, done() {} };
+    
+    const messageEl = toast.querySelector('.toast-message');
+    const track = document.createElement('div');
+    track.style.cssText = 'height: 4px; margin-top: 6px; background: var(--border-color); border-radius: 2px; overflow: hidden;';
+    const bar = document.createElement('div');
+    bar.style.cssText = 'height: 100%; width: 0; background: var(--primary); transition: width 0.2s ease;';
+    track.appendChild(bar);
+    toast.querySelector('.toast-content').appendChild(track);
+    
+    const closeBtn = toast.querySelector('.toast-close');
+    closeBtn.title = 'Cancel upload';
+    closeBtn.onclick = () => {
+        controller.abort();
+        toast.remove();
+    };
+    
+    return {
+        options: {
+            signal: controller.signal,
+            onUploadProgress: ({ percent }) => {
+                bar.style.width = `${percent}%`;
+                messageEl.textContent = `${label} ${percent}%`;
+            }
+        },
+        done() {
+            toast.remove();
+        }
+    };
+}
+
 function showToast(message, type = 'info', duration = 5000) {
     const container = document.getElementById('toastContainer');
     if (!container) return;
@@ -9373,18 +11132,18 @@ async function searchLocations(query, input, suggestionsContainer) {
         });
         
     } catch (error) {
-        // Only log if it's not an abort (timeout) or network error
-        if (error.name !== 'AbortError' && error.name !== 'TypeError') {
+        // Only log if it's not a timeout or network error
+        if (!isNetworkError(error)) {
             console.warn('Location search error:', error.message);
         }
         
         // Show user-friendly message
-        if (error.name === 'AbortError') {
+        if (error instanceof TimeoutError) {
             suggestionsContainer.innerHTML = '<div class="location-suggestion">Search timed out. Please try again.</div>';
-        } else if (!navigator.onLine) {
+        } else if (error instanceof OfflineError) {
             suggestionsContainer.innerHTML = '<div class="location-suggestion">No internet connection</div>';
-        } else if (error.message && error.message.includes('403')) {
-            // 403 Forbidden - API rate limit or User-Agent issue
+        } else if (error instanceof ForbiddenError || error instanceof RateLimitedError || error instanceof ServiceUnavailableError) {
+            // Geocoder refused us - rate limit or User-Agent issue
             suggestionsContainer.innerHTML = '<div class="location-suggestion">Location service temporarily unavailable. Please type location manually.</div>';
         } else {
             suggestionsContainer.innerHTML = '<div class="location-suggestion">Unable to search locations. Please type location manually.</div>';
@@ -9686,11 +11445,12 @@ async function loginAsUser(userId, userName) {
     }
 }
 
+// Also escapes double quotes, so the result is safe inside attribute values
 function escapeHtml(text) {
     if (!text) return '';
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;');
 }
 
 // Check if user is admin and show/hide admin nav button
@@ -1,12 +1,64 @@
-// Service Worker for Push Notifications
-// This handles background push notifications when the app is closed
+// Service Worker
+// Precaches the app shell so the app starts offline, handles background push
+// notifications when the app is closed, replays the offline queue in the background, and receives
+// content shared into the app (Web Share Target).
 
-const CACHE_NAME = 'pplai-app-v1';
+// File list and content hashes, generated by generate_precache_manifest.py.
+// Without it (a plain static server) the worker still installs, just without a precache.
+try {
+    importScripts('/precache-manifest.js');
+} catch (error) {
+    console.warn('precache-manifest.js not found - run generate_precache_manifest.py to enable offline start', error);
+}
+
+// Queue database and replay rules, shared with the page (offline-queue.js)
+importScripts('/offline-queue-replay.js');
+
+const PRECACHE_MANIFEST = self.PRECACHE_MANIFEST || { version: 'dev', files: [], external: [] };
+const CACHE_NAME = `pplai-app-${PRECACHE_MANIFEST.version}`;
+// Runtime caches outlive app versions - their URLs are versioned or revalidated
+const CDN_CACHE = 'pplai-cdn-v1';
+const MEDIA_CACHE = 'pplai-media-v1'; // Contact photos, chat images, voice notes
+const RUNTIME_CACHES = [CDN_CACHE, MEDIA_CACHE];
+const MEDIA_CACHE_BUDGET = 150 * 1024 * 1024; // Least recently used media is evicted beyond this
+const OPAQUE_RESPONSE_SIZE = 250 * 1024; // Cross-origin responses without CORS hide their size - assume this
+const MEDIA_DB_NAME = 'pplai_media_cache';
+const MEDIA_ENTRY_STORE = 'entries';
+const APP_SHELL_URL = '/index.html';
+// Paths the app itself routes (script.js); other navigations - share target, OAuth
+// callbacks, anything else the server handles - always go to the network
+const APP_ROUTES = [/^\/$/, /^\/index\.html$/, /^\/profile\/[a-f0-9-]+\/?$/i];
+const PRECACHE_URLS = new Set(PRECACHE_MANIFEST.files.map(file => file.url));
+// Third-party hosts whose responses are safe to keep (versioned URLs)
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'tessdata.projectnaptha.com'];
+// Web Share Target - shared files wait here until the app picks them up
+const SHARE_TARGET_PATH = '/share-target';
+const SHARE_DB_NAME = 'pplai_share_target';
+const SHARE_STORE = 'shares';
+
+// Cache the app shell. Missing app files fail the install (a half-cached shell would
+// start broken offline); CDN assets are best-effort and also cached on first use.
+async function precacheAppShell() {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(PRECACHE_MANIFEST.files.map(file => new Request(file.url, { cache: 'reload' })));
+    
+    const cdnCache = await caches.open(CDN_CACHE);
+    await Promise.all((PRECACHE_MANIFEST.external || []).map(async (url) => {
+        if (await cdnCache.match(url)) return;
+        try {
+            await cdnCache.add(new Request(url, { mode: 'cors' }));
+        } catch (error) {
+            console.warn('Could not precache', url, error);
+        }
+    }));
+}
 
 // Install event - cache static assets
+// An update waits until the app asks for it (see SKIP_WAITING below), so a deploy
+// never swaps scripts under a running session
 self.addEventListener('install', (event) => {
-    console.log('Service Worker installing...');
-    self.skipWaiting();
+    console.log('Service Worker installing...', CACHE_NAME);
+    event.waitUntil(precacheAppShell());
 });
 
 // Activate event - clean up old caches
@@ -16,7 +68,7 @@ self.addEventListener('activate', (event) => {
         caches.keys().then((cacheNames) => {
             return Promise.all(
                 cacheNames.map((cacheName) => {
-                    if (cacheName !== CACHE_NAME) {
+                    if (cacheName !== CACHE_NAME && !RUNTIME_CACHES.includes(cacheName)) {
                         console.log('Deleting old cache:', cacheName);
                         return caches.delete(cacheName);
                     }
@@ -27,6 +79,408 @@ self.addEventListener('activate', (event) => {
     return self.clients.claim();
 });
 
+// Serve from cache, going to the network (and caching the response) on a miss
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Media cache index: size, last access and which offline event downloads pin each URL.
+// The Cache API has no access times, so LRU bookkeeping lives in IndexedDB.
+// A pin is '<accountId>:<eventId>' - two accounts can download the same event, and
+// removing an account releases only its own downloads.
+function openMediaDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(MEDIA_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(MEDIA_ENTRY_STORE, { keyPath: 'url' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function mediaStoreRequest(mode, callback) {
+    const db = await openMediaDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(MEDIA_ENTRY_STORE, mode);
+        const request = callback(tx.objectStore(MEDIA_ENTRY_STORE));
+        tx.oncomplete = () => {
+            db.close();
+            resolve(request ? request.result : undefined);
+        };
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+async function getResponseSize(response) {
+    if (response.type === 'opaque') return OPAQUE_RESPONSE_SIZE;
+    const length = Number(response.headers.get('Content-Length'));
+    if (length > 0) return length;
+    return (await response.clone().blob()).size;
+}
+
+function getMediaPin(accountId, eventId) {
+    return `${accountId}:${eventId}`;
+}
+
+// Store a media response and record it in the index, optionally pinned by an offline event
+async function putMedia(url, response, pin = null) {
+    const cache = await caches.open(MEDIA_CACHE);
+    const size = await getResponseSize(response);
+    await cache.put(url, response);
+    
+    const existing = await mediaStoreRequest('readonly', store => store.get(url));
+    const pinnedBy = new Set((existing && existing.pinnedBy) || []);
+    if (pin) pinnedBy.add(pin);
+    await mediaStoreRequest('readwrite', store => store.put({ url, size, lastAccess: Date.now(), pinnedBy: [...pinnedBy] }));
+}
+
+// Evict least recently used media until the cache fits its budget.
+// Media downloaded for an offline event is never evicted while the download is kept.
+async function enforceMediaBudget() {
+    const entries = await mediaStoreRequest('readonly', store => store.getAll());
+    let total = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+    if (total <= MEDIA_CACHE_BUDGET) return;
+    
+    const cache = await caches.open(MEDIA_CACHE);
+    const evictable = entries
+        .filter(entry => !entry.pinnedBy || entry.pinnedBy.length === 0)
+        .sort((a, b) => a.lastAccess - b.lastAccess);
+    for (const entry of evictable) {
+        if (total <= MEDIA_CACHE_BUDGET) break;
+        await cache.delete(entry.url);
+        await mediaStoreRequest('readwrite', store => store.delete(entry.url));
+        total -= entry.size || 0;
+    }
+    if (total > MEDIA_CACHE_BUDGET) {
+        console.warn('Media cache is over budget with media pinned for offline events');
+    }
+}
+
+// Cache-first for media: photos and voice notes don't change once uploaded
+async function serveMedia(event) {
+    const { request } = event;
+    const cache = await caches.open(MEDIA_CACHE);
+    const cached = await cache.match(request.url);
+    if (cached) {
+        // Bump last access for LRU (not worth a write on every hit within a minute)
+        event.waitUntil(mediaStoreRequest('readwrite', store => {
+            const getRequest = store.get(request.url);
+            getRequest.onsuccess = () => {
+                const entry = getRequest.result;
+                if (entry && Date.now() - entry.lastAccess > 60000) {
+                    store.put({ ...entry, lastAccess: Date.now() });
+                }
+            };
+            return null;
+        }).catch(() => {}));
+        return cached;
+    }
+    
+    const response = await fetch(request);
+    // Partial (range) responses for audio can't be cached; a full download happens via "download for offline"
+    if ((response.ok && response.status !== 206) || response.type === 'opaque') {
+        event.waitUntil(putMedia(request.url, response.clone())
+            .then(enforceMediaBudget)
+            .catch(error => console.warn('Could not cache media:', request.url, error)));
+    }
+    return response;
+}
+
+// Download media for an offline event, reporting progress on the message port
+async function cacheMediaForEvent(urls, pin, port) {
+    let done = 0;
+    let failed = 0;
+    try {
+        for (const url of urls) {
+            try {
+                const cross = new URL(url).origin !== self.location.origin;
+                const response = await fetch(url, cross ? { mode: 'no-cors' } : {});
+                if (!response.ok && response.type !== 'opaque') throw new Error(`HTTP ${response.status}`);
+                await putMedia(url, response, pin);
+            } catch (error) {
+                console.warn('Could not download media for offline use:', url, error);
+                failed++;
+            }
+            done++;
+            if (port) port.postMessage({ type: 'progress', done, total: urls.length, failed });
+        }
+        await enforceMediaBudget();
+    } catch (error) {
+        // The media cache itself failed (e.g. IndexedDB) - don't leave the app waiting
+        console.error('Offline media download failed:', error);
+        if (port) port.postMessage({ type: 'error', message: error.message });
+        return;
+    }
+    if (port) port.postMessage({ type: 'done', done, total: urls.length, failed });
+}
+
+// Release offline downloads - their media becomes ordinary LRU cache again.
+// With no eventId, every download of the account is released (the account was removed).
+async function unpinMedia(accountId, eventId, port) {
+    const released = eventId ? (pin => pin === getMediaPin(accountId, eventId)) : (pin => pin.startsWith(`${accountId}:`));
+    try {
+        const entries = await mediaStoreRequest('readonly', store => store.getAll());
+        for (const entry of entries) {
+            if (!(entry.pinnedBy || []).some(released)) continue;
+            const pinnedBy = entry.pinnedBy.filter(pin => !released(pin));
+            await mediaStoreRequest('readwrite', store => store.put({ ...entry, pinnedBy }));
+        }
+        await enforceMediaBudget();
+    } catch (error) {
+        console.error('Could not release offline media:', error);
+        if (port) port.postMessage({ type: 'error', message: error.message });
+        return;
+    }
+    if (port) port.postMessage({ type: 'done' });
+}
+
+// App navigations get the precached app shell so the app opens without a connection.
+// The shell is versioned with the scripts it loads, so the two never mismatch.
+async function serveAppShell(request) {
+    const cached = await caches.match(APP_SHELL_URL, { cacheName: CACHE_NAME });
+    if (cached) return cached;
+    try {
+        return await fetch(request);
+    } catch (error) {
+        return new Response('<h1>Offline</h1><p>pplai.app needs a connection the first time it is opened.</p>', {
+            status: 503,
+            headers: { 'Content-Type': 'text/html' }
+        });
+    }
+}
+
+// Share target: the OS POSTs the shared vCard, photo or link as multipart form data.
+// Files can't travel in a URL, so the share is parked in IndexedDB and the app is
+// opened with its id; script.js reads it back and routes it.
+function openShareDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(SHARE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(SHARE_STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function receiveShare(request) {
+    const id = `share_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    try {
+        const formData = await request.formData();
+        const share = {
+            id,
+            title: formData.get('title') || '',
+            text: formData.get('text') || '',
+            url: formData.get('url') || '',
+            files: formData.getAll('files').filter(file => file && typeof file !== 'string' && file.size > 0),
+            receivedAt: Date.now()
+        };
+        
+        const db = await openShareDB();
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(SHARE_STORE, 'readwrite');
+            tx.objectStore(SHARE_STORE).put(share);
+            tx.oncomplete = () => {
+                db.close();
+                resolve();
+            };
+            tx.onerror = () => reject(tx.error);
+        });
+        return Response.redirect(`/?share-target=${encodeURIComponent(id)}`, 303);
+    } catch (error) {
+        console.error('Failed to receive shared content:', error);
+        return Response.redirect('/?share-target=failed', 303);
+    }
+}
+
+// Fetch event - pick a caching strategy per request type
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method === 'POST' && new URL(request.url).pathname === SHARE_TARGET_PATH) {
+        event.respondWith(receiveShare(request));
+        return;
+    }
+    // Only GETs are cached; uploads and mutations always go to the network
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    
+    if (request.mode === 'navigate' && url.origin === self.location.origin) {
+        if (APP_ROUTES.some(route => route.test(url.pathname))) {
+            event.respondWith(serveAppShell(request));
+        }
+    } else if (url.origin === self.location.origin && PRECACHE_URLS.has(url.pathname)) {
+        // App files: cache-first from this version's precache
+        event.respondWith(cacheFirst(request, CACHE_NAME));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        // Versioned third-party libraries (jsQR, Tesseract, jsPDF) and OCR language data
+        event.respondWith(cacheFirst(request, CDN_CACHE));
+    } else if (['image', 'audio', 'video'].includes(request.destination) && !url.pathname.includes('/api/')) {
+        // Contact photos, chat images and voice notes
+        event.respondWith(serveMedia(event));
+    }
+    // Everything else - API calls, Google sign-in - goes straight to the network.
+    // The app keeps its own per-user cache of API responses.
+});
+
+// Notification history
+// Every push is kept in IndexedDB so it survives being dismissed; the app's
+// notification center reads the same store and tracks read/unread.
+const NOTIFICATION_DB_NAME = 'pplai_notifications';
+const NOTIFICATION_STORE = 'notifications';
+const NOTIFICATION_HISTORY_LIMIT = 200;
+
+function openNotificationDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(NOTIFICATION_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(NOTIFICATION_STORE, { keyPath: 'id' });
+            store.createIndex('receivedAt', 'receivedAt', { unique: false });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function notificationStoreRequest(mode, callback) {
+    const db = await openNotificationDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(NOTIFICATION_STORE, mode);
+        const request = callback(tx.objectStore(NOTIFICATION_STORE));
+        tx.oncomplete = () => {
+            db.close();
+            resolve(request ? request.result : undefined);
+        };
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+async function recordNotification(notification) {
+    await notificationStoreRequest('readwrite', store => store.put(notification));
+    
+    // Drop the oldest beyond the limit
+    const keys = await notificationStoreRequest('readonly', store => store.index('receivedAt').getAllKeys());
+    const excess = keys.slice(0, Math.max(0, keys.length - NOTIFICATION_HISTORY_LIMIT));
+    if (excess.length) {
+        await notificationStoreRequest('readwrite', store => {
+            excess.forEach(key => store.delete(key));
+        });
+    }
+    
+    const clientList = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clientList.forEach(client => client.postMessage({ type: 'NOTIFICATION_RECEIVED', notification }));
+}
+
+async function markNotificationRead(notificationId) {
+    if (!notificationId) return;
+    const record = await notificationStoreRequest('readonly', store => store.get(notificationId));
+    if (record && !record.read) {
+        await notificationStoreRequest('readwrite', store => store.put({ ...record, read: true, readAt: Date.now() }));
+    }
+}
+
+// Notification actions
+// 'snooze' and 'done' run here against the API, without opening the app; the others
+// deep-link into a window (an open one via postMessage, otherwise a new one via the URL).
+const BACKGROUND_NOTIFICATION_ACTIONS = ['snooze', 'done'];
+const SNOOZE_DURATION = 24 * 60 * 60 * 1000;
+// Offered on follow-up reminders when the push payload doesn't bring its own actions
+const FOLLOWUP_REMINDER_ACTIONS = [
+    { action: 'followup', title: 'Send follow-up' },
+    { action: 'snooze', title: 'Snooze 1 day' },
+    { action: 'done', title: 'Mark done' },
+    { action: 'open', title: 'Open contact' }
+];
+
+function getNotificationActions(data, actions) {
+    const list = actions && actions.length ? actions
+        : (data.type === 'followup_reminder' ? FOLLOWUP_REMINDER_ACTIONS : []);
+    // Browsers show only a few actions; the payload lists them by priority
+    const maxActions = (self.Notification && Notification.maxActions) || list.length;
+    return list.slice(0, maxActions);
+}
+
+async function runBackgroundNotificationAction(action, data) {
+    const followupId = data.followup_id || data.followupId;
+    
+    try {
+        if (!followupId) throw new Error('Notification has no follow-up to update');
+        
+        const db = await openQueueDB();
+        let accountCredentials;
+        try {
+            accountCredentials = await getAccountCredentials(db);
+        } finally {
+            db.close();
+        }
+        // The reminder belongs to the account named in the payload; older payloads don't say
+        const credentials = data.user_id
+            ? accountCredentials.get(String(data.user_id))
+            : [...accountCredentials.values()].sort((a, b) => b.updatedAt - a.updatedAt)[0];
+        if (!credentials || !credentials.token) throw new Error('Not logged in');
+        
+        const body = action === 'snooze'
+            ? { snoozed_until: new Date(Date.now() + SNOOZE_DURATION).toISOString() }
+            : { status: 'done' };
+        await workerApiRequest(credentials, `/followups/${followupId}`, { method: 'PUT', body });
+        
+        // Open windows refresh their contact data
+        const clientList = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+        clientList.forEach(client => client.postMessage({ type: 'NOTIFICATION_ACTION_COMPLETED', action, data }));
+    } catch (error) {
+        console.error(`Notification action "${action}" failed:`, error);
+        await self.registration.showNotification(action === 'snooze' ? 'Could not snooze reminder' : 'Could not mark reminder done', {
+            body: 'Tap to open pplai.app and try again.',
+            icon: '/icon-192x192.png',
+            badge: '/icon-96x96.png',
+            tag: `pplai-action-failed-${followupId || 'unknown'}`,
+            data
+        });
+    }
+}
+
+// Any window of the app can handle a deep link - prefer one already showing the
+// notification's URL, then a focused one, then any
+async function findAppClient(urlToOpen) {
+    const clientList = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const target = new URL(urlToOpen, self.location.origin);
+    const appClients = clientList.filter(client => new URL(client.url).origin === self.location.origin);
+    return appClients.find(client => new URL(client.url).pathname === target.pathname) ||
+        appClients.find(client => client.focused) ||
+        appClients[0] ||
+        null;
+}
+
+async function openNotificationTarget(action, data) {
+    const urlToOpen = data.url || '/';
+    const client = await findAppClient(urlToOpen);
+    
+    if (client) {
+        client.postMessage({ type: 'NOTIFICATION_ACTION', action, data });
+        return 'focus' in client ? client.focus() : client;
+    }
+    
+    if (!clients.openWindow) return;
+    // A new window can't receive the message yet, so the action travels in the URL
+    const contactId = data.contact_id || data.contactId;
+    if (contactId) {
+        const params = new URLSearchParams({ 'notification-action': action, contact: contactId });
+        if (data.followup_type) params.set('followup-type', data.followup_type);
+        if (data.user_id) params.set('account', data.user_id);
+        return clients.openWindow(`/?${params.toString()}`);
+    }
+    return clients.openWindow(urlToOpen);
+}
+
 // Push event - handle incoming push notifications
 self.addEventListener('push', (event) => {
     console.log('Push notification received:', event);
@@ -65,8 +519,25 @@ self.addEventListener('push', (event) => {
         }
     }
     
+    // Keep a copy for the notification center; the id travels with the notification
+    // so a tap can mark it read
+    const notificationId = notificationData.data.notification_id ||
+        `notification_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    notificationData.data = { ...notificationData.data, notificationId };
+    const record = {
+        id: notificationId,
+        title: notificationData.title,
+        body: notificationData.body,
+        image: notificationData.image,
+        category: notificationData.data.type || 'general',
+        data: notificationData.data,
+        receivedAt: Date.now(),
+        read: false
+    };
+    
     // Show notification
-    event.waitUntil(
+    event.waitUntil(Promise.all([
+        recordNotification(record).catch(error => console.error('Failed to store notification:', error)),
         self.registration.showNotification(notificationData.title, {
             body: notificationData.body,
             icon: notificationData.icon,
@@ -75,11 +546,11 @@ self.addEventListener('push', (event) => {
             tag: notificationData.tag,
             requireInteraction: notificationData.requireInteraction,
             data: notificationData.data,
-            actions: notificationData.actions,
+            actions: getNotificationActions(notificationData.data, notificationData.actions),
             vibrate: [200, 100, 200],
             timestamp: Date.now()
         })
-    );
+    ]));
 });
 
 // Notification click event - handle when user clicks notification
@@ -89,34 +560,354 @@ self.addEventListener('notificationclick', (event) => {
     event.notification.close();
     
     const data = event.notification.data || {};
-    const urlToOpen = data.url || '/';
+    // Tapping the notification body has no action - treat it as "open"
+    const action = event.action || 'open';
     
-    event.waitUntil(
-        clients.matchAll({
-            type: 'window',
-            includeUncontrolled: true
-        }).then((clientList) => {
-            // If app is already open, focus it
-            for (let i = 0; i < clientList.length; i++) {
-                const client = clientList[i];
-                if (client.url === urlToOpen && 'focus' in client) {
-                    return client.focus();
+    const markRead = markNotificationRead(data.notificationId).catch(() => {});
+    
+    if (BACKGROUND_NOTIFICATION_ACTIONS.includes(action)) {
+        event.waitUntil(Promise.all([markRead, runBackgroundNotificationAction(action, data)]));
+    } else {
+        event.waitUntil(Promise.all([markRead, openNotificationTarget(action, data)]));
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Offline queue (Background Sync)
+// The app queues contacts, events and tags in IndexedDB while offline. When connectivity
+// returns the browser fires 'sync' here - even with the app closed - and we replay the
+// queue by the same rules as the page (offline-queue-replay.js), with the token stored
+// for each account in the 'meta' store ('auth:<userId>', also used by the notification
+// actions above). A worker can't renew a session, so items of an account whose token is
+// rejected are left for the app, and open windows are asked to take over.
+// ---------------------------------------------------------------------------
+
+function openQueueDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(QUEUE_DB_NAME, QUEUE_DB_VERSION);
+        request.onupgradeneeded = () => upgradeQueueDB(request.result);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function queueStoreRequest(db, storeName, mode, callback) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = callback(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Offline queue transaction aborted'));
+    });
+}
+
+// Credentials of every signed-in account, by user id
+async function getAccountCredentials(db) {
+    const records = await queueStoreRequest(db, META_STORE, 'readonly', store => store.getAll());
+    const credentials = new Map();
+    (records || [])
+        .filter(record => String(record.key).startsWith('auth:') && record.token)
+        .forEach(record => credentials.set(String(record.userId), record));
+    return credentials;
+}
+
+// Minimal API client: the page's api.js depends on window and localStorage, which workers don't have
+async function workerApiRequest(credentials, endpoint, options = {}) {
+    const headers = { 'Authorization': `Bearer ${credentials.token}`, ...(options.headers || {}) };
+    let body = options.body;
+    if (body && !(body instanceof FormData)) {
+        headers['Content-Type'] = 'application/json';
+        body = JSON.stringify(body);
+    }
+    
+    const response = await fetch(`${credentials.apiBaseUrl}${endpoint}`, {
+        method: options.method || 'GET',
+        headers,
+        body
+    });
+    
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ error: `Request failed with status ${response.status}` }));
+        const error = new Error(errorData.error || errorData.detail || `Request failed with status ${response.status}`);
+        error.status = response.status;
+        error.payload = errorData;
+        throw error;
+    }
+    return response.json().catch(() => null);
+}
+
+// Tell the open tabs what the background replay is doing (offline-queue.js listens)
+function postQueueMessage(message) {
+    if (!('BroadcastChannel' in self)) return;
+    const channel = new BroadcastChannel(QUEUE_CHANNEL_NAME);
+    channel.postMessage({ ...message, tabId: 'service-worker' });
+    channel.close();
+}
+
+// Same as reconcileAlreadyCreated in offline-queue.js: a 409 on a create means an earlier
+// attempt got through, so carry on with the existing record
+async function reconcileAlreadyCreated(credentials, item, error) {
+    if (error.status !== 409) throw error;
+    
+    const payload = error.payload || {};
+    const existing = payload.existing || payload.record || payload;
+    const existingId = existing.id || payload.existing_id;
+    if (existingId) return { ...existing, id: existingId };
+    
+    if (item.type === 'contact' && item.contactData && (item.contactData.email || item.contactData.mobile)) {
+        const params = new URLSearchParams();
+        if (item.contactData.email) params.append('email', item.contactData.email);
+        if (item.contactData.mobile) params.append('mobile', item.contactData.mobile);
+        const found = await workerApiRequest(credentials, `/contacts/find?${params.toString()}`).catch(findError => {
+            if (findError.status === 404) return null;
+            throw findError;
+        });
+        if (found && found.id) return found;
+    } else if (item.type === 'tag' && item.tagData) {
+        const tags = await workerApiRequest(credentials, '/tags/manage/');
+        const found = (tags || []).find(tag => tag.name === item.tagData.name);
+        if (found) return found;
+    }
+    throw error;
+}
+
+// Send a create with the queue item id as its idempotency key so a retry can't duplicate it
+function createQueuedRecord(credentials, item, endpoint, body) {
+    return workerApiRequest(credentials, endpoint, {
+        method: 'POST',
+        headers: { 'Idempotency-Key': item.id },
+        body
+    }).catch(error => reconcileAlreadyCreated(credentials, item, error));
+}
+
+// Same form fields as api.createContact
+function buildContactCreateForm(contactData, photo, media) {
+    const formData = new FormData();
+    formData.append('name', contactData.name);
+    ['email', 'email_addresses', 'role_company', 'company', 'website', 'mobile', 'phone_numbers',
+        'linkedin_url', 'meeting_context', 'meeting_date', 'event_id'].forEach(field => {
+        if (contactData[field]) formData.append(field, contactData[field]);
+    });
+    if (contactData.tags && contactData.tags.length > 0) {
+        formData.append('tags', JSON.stringify(contactData.tags));
+    }
+    if (photo) formData.append('photo', photo);
+    (media || []).forEach(file => formData.append('media', file));
+    return formData;
+}
+
+// Same form fields as api.updateContact - empty values are sent so fields can be cleared
+function buildContactUpdateForm(contactData, photo, media) {
+    const formData = new FormData();
+    if (contactData.name) formData.append('name', contactData.name);
+    ['email', 'email_addresses', 'role_company', 'company', 'website', 'mobile', 'phone_numbers',
+        'linkedin_url', 'meeting_context'].forEach(field => {
+        if (contactData[field] !== undefined) formData.append(field, contactData[field]);
+    });
+    if (contactData.meeting_date !== undefined && contactData.meeting_date !== null) {
+        formData.append('meeting_date', contactData.meeting_date);
+    }
+    if (contactData.event_id !== undefined) formData.append('event_id', contactData.event_id);
+    if (contactData.tags) {
+        formData.append('tags', JSON.stringify(contactData.tags));
+    }
+    if (contactData.meeting_latitude !== null && contactData.meeting_latitude !== undefined) {
+        formData.append('meeting_latitude', contactData.meeting_latitude.toString());
+    }
+    if (contactData.meeting_longitude !== null && contactData.meeting_longitude !== undefined) {
+        formData.append('meeting_longitude', contactData.meeting_longitude.toString());
+    }
+    if (contactData.meeting_location_name !== undefined) {
+        formData.append('meeting_location_name', contactData.meeting_location_name || '');
+    }
+    if (photo) formData.append('photo', photo);
+    (media || []).forEach(file => formData.append('media', file));
+    return formData;
+}
+
+// Send one queue item, like syncContactItem / syncEventItem / syncTagItem in offline-queue.js.
+// Creates resolve with the new record.
+async function replayQueueItem(credentials, item) {
+    if (item.type === 'contact') {
+        const operation = item.operation || 'create';
+        if (operation === 'create') {
+            return createQueuedRecord(credentials, item, '/contacts', buildContactCreateForm(item.contactData, item.photo, item.media));
+        } else if (operation === 'update') {
+            await workerApiRequest(credentials, `/contacts/${item.contactId}`, { method: 'PUT', body: buildContactUpdateForm(item.contactData || {}, item.photo, item.media) });
+        } else if (operation === 'delete') {
+            await workerApiRequest(credentials, `/contacts/${item.contactId}`, { method: 'DELETE' });
+        } else if (operation === 'favorite') {
+            await workerApiRequest(credentials, `/contacts/${item.contactId}/favorite`, { method: 'PATCH' });
+        } else if (operation === 'message') {
+            const formData = new FormData();
+            formData.append('message', item.message);
+            await workerApiRequest(credentials, `/contacts/${item.contactId}/message`, { method: 'POST', body: formData });
+        } else if (operation === 'media') {
+            const formData = new FormData();
+            formData.append('file', item.file);
+            await workerApiRequest(credentials, `/contacts/${item.contactId}/media`, { method: 'POST', body: formData });
+        }
+    } else if (item.type === 'event') {
+        if (!item.isUpdate || !item.eventId) {
+            return createQueuedRecord(credentials, item, '/events', item.eventData);
+        }
+        let payload = item.eventData;
+        if (item.base) {
+            const server = await workerApiRequest(credentials, `/events/${item.eventId}`);
+            const check = checkForConflict(item.base, server, item.eventData, EVENT_CONFLICT_FIELDS);
+            if (check.conflict) throw createConflictError(check.conflict);
+            payload = check.payload;
+        }
+        await workerApiRequest(credentials, `/events/${item.eventId}`, { method: 'PUT', body: payload });
+    } else if (item.type === 'tag') {
+        if (item.operation === 'create') {
+            return createQueuedRecord(credentials, item, '/tags/', { name: item.tagData.name });
+        } else if (item.operation === 'delete' && item.tagId) {
+            await workerApiRequest(credentials, `/tags/${item.tagId}`, { method: 'DELETE' });
+        } else if ((item.operation === 'update' || item.operation === 'hide') && item.tagId) {
+            let tagData = item.tagData;
+            if (item.base) {
+                const tags = await workerApiRequest(credentials, '/tags/manage/');
+                const server = (tags || []).find(tag => String(tag.id) === String(item.tagId));
+                if (server) {
+                    const check = checkForConflict(item.base, server, item.tagData, TAG_CONFLICT_FIELDS);
+                    if (check.conflict) throw createConflictError(check.conflict);
+                    tagData = check.payload;
                 }
             }
-            // Otherwise, open a new window
-            if (clients.openWindow) {
-                return clients.openWindow(urlToOpen);
+            const body = {};
+            if (item.operation === 'update' && tagData.name !== undefined && tagData.name !== null) body.name = tagData.name;
+            if (tagData.is_hidden !== undefined && tagData.is_hidden !== null) body.is_hidden = tagData.is_hidden;
+            await workerApiRequest(credentials, `/tags/${item.tagId}`, { method: 'PUT', body });
+        }
+    }
+    return null;
+}
+
+// Point queued items at the server id of a record that was just created
+async function rewriteQueueReferences(db, tempId, serverId) {
+    const queue = await queueStoreRequest(db, QUEUE_STORE, 'readonly', store => store.getAll());
+    for (const item of queue) {
+        const updated = remapQueueItem(item, tempId, serverId);
+        if (updated) await queueStoreRequest(db, QUEUE_STORE, 'readwrite', store => store.put(updated));
+    }
+    postQueueMessage({ type: 'id-remapped', tempId, serverId });
+}
+
+// Replay every account's queue - only called while holding the sync lock.
+// Rejects while items are waiting to be retried so the browser fires 'sync' again later.
+async function replayQueueInBackground(ignoreBackoff) {
+    const db = await openQueueDB();
+    const accountCredentials = await getAccountCredentials(db);
+    const queue = (await queueStoreRequest(db, QUEUE_STORE, 'readonly', store => store.getAll()))
+        .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+    if (queue.length === 0) return;
+    
+    postQueueMessage({ type: 'sync-started' });
+    console.log(`Offline queue: replaying ${queue.length} items in the background`);
+    
+    const result = await replayQueueItems(queue, {
+        resolveIds: item => resolveItemIds(item, async (id) => {
+            const mapping = await queueStoreRequest(db, ID_MAP_STORE, 'readonly', store => store.get(id));
+            return mapping ? mapping.serverId : id;
+        }),
+        // Items of accounts signed out of this device wait for the app
+        canSync: item => accountCredentials.has(String(item.accountId)),
+        sync: item => replayQueueItem(accountCredentials.get(String(item.accountId)), item),
+        synced: async (item, record) => {
+            await queueStoreRequest(db, QUEUE_STORE, 'readwrite', store => store.delete(item.id));
+            if (record && record.id) {
+                await queueStoreRequest(db, ID_MAP_STORE, 'readwrite', store => store.put({
+                    tempId: item.id,
+                    serverId: record.id,
+                    type: item.type,
+                    timestamp: Date.now()
+                }));
+                await rewriteQueueReferences(db, item.id, record.id);
             }
-        })
-    );
+        },
+        save: item => queueStoreRequest(db, QUEUE_STORE, 'readwrite', store => store.put(item))
+    }, { ignoreBackoff });
+    
+    postQueueMessage({ type: 'queue-changed' });
+    postQueueMessage({ type: 'sync-finished', synced: result.synced, types: [...new Set(queue.map(item => item.type))] });
+    console.log(`Offline queue: background sync finished, ${result.synced} synced`);
+    
+    return result;
+}
+
+// Wake the open windows to replay the queue; their sync lock lets only one of them run it
+async function requestQueueReplay(ignoreBackoff) {
+    const clientList = await clients.matchAll({ type: 'window' });
+    if (clientList.length === 0) return false;
+    clientList.forEach(client => client.postMessage({ type: 'SYNC_OFFLINE_QUEUE', ignoreBackoff }));
+    return true;
+}
+
+// Replay the queue unless a tab already is (the sync lock is shared with them).
+// Rejects when items are left to retry, so Background Sync tries again later.
+async function syncOfflineQueueInBackground(ignoreBackoff) {
+    let result;
+    if (self.navigator && self.navigator.locks) {
+        const ran = await self.navigator.locks.request(SYNC_LOCK_NAME, { ifAvailable: true }, async lock => {
+            if (!lock) return false; // A tab is already syncing
+            result = await replayQueueInBackground(ignoreBackoff);
+            return true;
+        });
+        if (!ran) return;
+    } else {
+        // Without Web Locks the tabs use a localStorage lease we can't see - hand over to them
+        if (await requestQueueReplay(ignoreBackoff)) return;
+        result = await replayQueueInBackground(ignoreBackoff);
+    }
+    if (!result) return;
+    
+    // A rejected token can only be renewed by the app - wake it if it's open, otherwise
+    // fail so the browser tries again (and the app syncs when it next starts)
+    if (result.unauthorized && !(await requestQueueReplay(ignoreBackoff))) {
+        throw new Error('Offline queue: a session expired and no window is open to renew it');
+    }
+    if (result.retrying > 0) {
+        throw new Error(`${result.retrying} offline queue items failed and will be retried`);
+    }
+}
+
+// Activate this (waiting) worker, holding the sync lock so no tab or background replay
+// is halfway through the queue when the new version takes over
+function activateWhenSyncIdle() {
+    if (self.navigator && self.navigator.locks) {
+        return self.navigator.locks.request(SYNC_LOCK_NAME, () => self.skipWaiting());
+    }
+    return self.skipWaiting();
+}
+
+// Background Sync - fired when connectivity returns after the app queued something
+self.addEventListener('sync', (event) => {
+    if (event.tag === BACKGROUND_SYNC_TAG) {
+        // Connectivity just came back, so don't wait out per-item backoff
+        event.waitUntil(syncOfflineQueueInBackground(true));
+    }
+});
+
+// Periodic Background Sync - catches items whose backoff has run out
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === PERIODIC_SYNC_TAG) {
+        event.waitUntil(syncOfflineQueueInBackground(false));
+    }
 });
 
 // Message event - handle messages from the app
 self.addEventListener('message', (event) => {
     console.log('Service Worker received message:', event.data);
     
-    if (event.data && event.data.type === 'SKIP_WAITING') {
-        self.skipWaiting();
+    if (event.data && event.data.type === 'CACHE_MEDIA') {
+        const pin = getMediaPin(event.data.accountId, event.data.eventId);
+        event.waitUntil(cacheMediaForEvent(event.data.urls || [], pin, event.ports[0]));
+    } else if (event.data && event.data.type === 'UNPIN_MEDIA') {
+        event.waitUntil(unpinMedia(event.data.accountId, event.data.eventId || null, event.ports[0]));
+    } else if (event.data && event.data.type === 'SKIP_WAITING') {
+        // The user accepted the update - take over once no offline queue replay is running
+        event.waitUntil(activateWhenSyncIdle());
     }
 });
 